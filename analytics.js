@@ -0,0 +1,907 @@
+// Codeforces Tag Stats – analytics core
+// ====================================================================
+// Turns Codeforces API data into a snapshot. No DOM, chrome.* or network access: in the
+// extension this is a classic script loaded after settings.js (shared globals), in Node it is a
+// CommonJS module (exports at the bottom; see tools/build-snapshot.js).
+//
+// Input
+//   submissions  user.status `result`, any order: { id, creationTimeSeconds, contestId, verdict,
+//                testset, programmingLanguage, author: { participantType }, problem: { contestId |
+//                problemsetName, index } }. The slim submissions kept in a snapshot work too.
+//                Submissions still judged or accepted on pretests only are left out until final.
+//   problemset   problemset.problems `result` (anything shaped { problems: [...] }), each
+//                { contestId | problemsetName, index, name, rating?, tags }.
+//   user         user.info `result[0]`, or null.
+//   options      failVerdicts, recommendWeightCoverageGap / RelevantGap / NextDiff / Solved,
+//                relevantWindow, relevantCenter ("rating" | "maxSolved"), cacheTtlHours.
+//                Missing fields come from the user's settings in the browser and from
+//                DEFAULT_SETTINGS (settings.js) in Node.
+//
+// Output
+//   buildSnapshotFromData({ handle, user, submissions, problemset }, options) returns a snapshot
+//   of schema SNAPSHOT_SCHEMA_VERSION, the same object the profile page renders and exports:
+//     problems        probKey ("1500-A", "PS-B") -> { rating, name, tags, solved, contest,
+//                     virtual, ooc, practice, failedContest, failedPractice, firstAcAt,
+//                     lastAttemptAt, verdicts, rejectedBeforeAc, acLangs, failLangs }
+//     tags            tag -> { totalAvailable, solved, solvedContest / Virtual / Ooc / Practice,
+//                     solvePercent, maxSolved, skill, skillLow, skillHigh (95% interval),
+//                     nextTargetDifficulty, min/maxFailedDifficulty, failSpan, recommendScore,
+//                     lastAttemptAt, lastSolvedAt, difficultyBuckets: rating -> counts }
+//     tagProblemKeys  tag -> [probKey]
+//     submissions, lastSubmissionId, user, source, generatedAt (the only non-deterministic field)
+//   Times are unix seconds. Unrated problems have rating null and sit in difficulty bucket 0.
+//   aggFromSnapshot(snapshot, options) gives the per-tag rows (relevant coverage, unrated
+//   counts, attempt, verdict and language mixes included) that the table and popup use.
+//
+// SCHEMA version 3: problems carry first-AC / last-attempt times (solve timeline).
+// SCHEMA version 4: slim submission list kept so date ranges can be re-aggregated offline.
+// SCHEMA version 5: per-problem failure verdict counts (verdict mix per tag / difficulty).
+// SCHEMA version 6: per-problem rejected attempts before the first AC (first-try / attempts metrics).
+// SCHEMA version 7: solves split by participation type (contest / virtual / out of competition / practice).
+// SCHEMA version 8: language families per problem (accepted in / failed in) and per submission.
+// SCHEMA version 9: per-tag skill estimate; Next is the first unsolved rating above its lower bound.
+// Older stored versions are migrated in storage.js.
+
+/* ---------------- CONFIG ---------------- */
+const SNAPSHOT_SCHEMA_VERSION = 9;
+
+/* Participation types (author.participantType). A problem solved more than one way counts
+   under the first of these. */
+const SOLVE_ORIGINS = ["contest", "virtual", "ooc", "practice"];
+
+/* Attempts to AC: solves needing at least this many tries count as "hard won" */
+const HARD_SOLVE_ATTEMPTS = 5;
+
+/* Verdict groups (verdict mix bars, graph filter) */
+const VERDICT_GROUPS = ["WA", "TLE", "MLE", "RE", "other"];
+
+/* Skill estimate: normal prior on the user's rating (SKILL_PRIOR_RATING without one). A solve
+   counts as a win; each rejection before it as SKILL_REJECT_WEIGHT of a loss (at most one
+   loss in total); an unsolved failure as a full loss. Solves more than SKILL_EASY_MARGIN below
+   the estimate fade out (weight e^(-excess / margin)): piles of easy solves say little about
+   the upper end. Next stays within SKILL_NEXT_STEP of maxSolved when it can. */
+const SKILL_PRIOR_RATING = 1400;
+const SKILL_PRIOR_SD = 250;
+const SKILL_REJECT_WEIGHT = 0.25;
+const SKILL_EASY_MARGIN = 150;
+const SKILL_NEXT_STEP = 200;
+const SKILL_Z95 = 1.96;
+
+/* -------------- OPTIONS ------------------- */
+// `settings` is settings.js's global in the browser; Node callers get the defaults.
+function analyticsOptions(options) {
+  const base = typeof settings !== "undefined" ? settings : require("./settings.js").DEFAULT_SETTINGS;
+  return { ...base, ...options };
+}
+
+/* -------------- SNAPSHOT BUILD ---------- */
+// Full pipeline from raw API results to a snapshot (also used to re-aggregate cached data).
+function buildSnapshotFromData({ handle, user, submissions, problemset }, options) {
+  const agg = aggregate(submissions, problemset, options);
+  return buildSnapshotFromAgg({ handle, user, submissions, problemset, agg }, options);
+}
+
+function buildSnapshotFromAgg({ handle, user, submissions, problemset, agg }, options) {
+  computeFailedDifficultyBand(agg);
+  computeSkillEstimates(agg, user?.rating ?? null);
+  const tagDifficultyBuckets = buildAllTagDifficultyBuckets(agg);
+  for (const stat of agg.tagArray) {
+    Object.assign(stat, relevantCoverage(stat, tagDifficultyBuckets.get(stat.tag) || [], user?.rating ?? null, options));
+  }
+  computeRecommendationScores(agg.tagArray, agg.tagRatingsAll, options);
+
+  const snapshot = buildSnapshot({
+    handle,
+    user,
+    submissions,
+    problemset,
+    agg,
+    tagDifficultyBuckets
+  }, options);
+
+  indexTagProblemKeys(snapshot);
+  return snapshot;
+}
+
+// Rebuilds a problemset.problems-like result from the metadata kept in a snapshot.
+function problemsetFromSnapshot(snapshot) {
+  const problems = [];
+  for (const [key, p] of Object.entries(snapshot.problems)) {
+    const problem = { ...problemFromKey(key), name: p.name, tags: p.tags };
+    if (p.rating) problem.rating = p.rating;
+    problems.push(problem);
+  }
+  return { problems };
+}
+
+// Inverse of probKey: { contestId | problemsetName, index }.
+function problemFromKey(key) {
+  const { contest, index } = parseProbKey(key);
+  if (/^\d+$/.test(contest)) return { contestId: Number(contest), index };
+  return contest === "PS" ? { index } : { problemsetName: contest, index };
+}
+
+// Re-aggregates a full-history snapshot over submissions in [range.from, range.to) (unix seconds),
+// optionally only those in one language family (range.language).
+function deriveSnapshot(full, range, options) {
+  const from = range.from ?? -Infinity, to = range.to ?? Infinity;
+  const submissions = (full.submissions || []).filter(s =>
+    s.creationTimeSeconds >= from && s.creationTimeSeconds < to &&
+    (!range.language || languageFamily(s.programmingLanguage) === range.language)
+  );
+  const snap = buildSnapshotFromData({
+    handle: full.handle,
+    user: full.user,
+    submissions,
+    problemset: problemsetFromSnapshot(full)
+  }, options);
+  snap.generatedAt = full.generatedAt;
+  snap.range = { from: range.from ?? null, to: range.to ?? null, language: range.language ?? null };
+  return snap;
+}
+
+// Not final yet: still being judged, or accepted on pretests only (system tests and hacks can
+// still fail it). Pending submissions are neither counted nor stored.
+function isPendingSubmission(s) {
+  return !s.verdict || s.verdict === "TESTING" || (s.verdict === "OK" && s.testset === "PRETESTS");
+}
+
+// Newest submission id that no longer needs refetching: anything still pending
+// is fetched again on the next incremental refresh.
+function resumeSubmissionId(submissions) {
+  let maxId = 0, minPending = Infinity;
+  for (const s of submissions) {
+    if (isPendingSubmission(s)) minPending = Math.min(minPending, s.id);
+    else maxId = Math.max(maxId, s.id);
+  }
+  return minPending < Infinity ? Math.min(maxId, minPending - 1) : maxId;
+}
+
+// user.info entry -> the fields a snapshot keeps (null stays null, as does anything mistyped).
+function slimUser(info) {
+  if (!info) return null;
+  const num = v => Number.isFinite(v) ? v : null;
+  return { rating: num(info.rating), maxRating: num(info.maxRating), rank: typeof info.rank === "string" ? info.rank : null };
+}
+
+function slimSubmission(sub) {
+  const pr = sub.problem || {};
+  return {
+    id: sub.id,
+    creationTimeSeconds: sub.creationTimeSeconds,
+    contestId: sub.contestId,
+    participantType: sub.participantType ?? sub.author?.participantType ?? null,
+    programmingLanguage: sub.programmingLanguage ?? null,
+    verdict: sub.verdict,
+    problem: { contestId: pr.contestId, problemsetName: pr.problemsetName, index: pr.index }
+  };
+}
+
+/* -------------- SNAPSHOT SCHEMA --------- */
+function buildSnapshot({ handle, user, submissions, problemset, agg, tagDifficultyBuckets }, options) {
+  const {
+    tagArray,
+    perTagProblemList,
+    perProblemMeta,
+    solvedProblems,
+    perProblemOrigin,
+    perProblemStatus
+  } = agg;
+
+  const problems = {};
+  for (const [key, meta] of perProblemMeta.entries()) {
+    const status = perProblemStatus.get(key);
+    const origin = perProblemOrigin.get(key);
+    problems[key] = {
+      rating: meta.rating,
+      name: meta.name,
+      tags: meta.tags,
+      solved: !!status?.solved,
+      ...originFlags(origin, !!status?.solved),
+      failedContest: !!status?.failedContest && !status?.solved,
+      failedPractice: !!status?.failedPractice && !status?.solved,
+      firstAcAt: status?.firstAcAt ?? null,
+      lastAttemptAt: status?.lastAttemptAt ?? null,
+      verdicts: { ...status?.verdicts },
+      rejectedBeforeAc: status?.rejectedBeforeAc ?? 0,
+      acLangs: [...(status?.acLangs || [])],
+      failLangs: copyFailLangs(status?.failLangs)
+    };
+  }
+
+  const tagsObj = {};
+  for (const stat of tagArray) {
+    const diffBuckets = tagDifficultyBuckets.get(stat.tag) || new Map();
+    const bucketObj = {};
+    for (const [diff, b] of diffBuckets.entries()) {
+      bucketObj[diff] = { ...b };
+    }
+    tagsObj[stat.tag] = {
+      totalAvailable: stat.totalAvailable,
+      solved: stat.solved,
+      solvedContest: stat.solvedContest,
+      solvedVirtual: stat.solvedVirtual,
+      solvedOoc: stat.solvedOoc,
+      solvedPractice: stat.solvedPractice,
+      solvePercent: stat.solvePercent,
+      maxSolved: stat.maxSolved,
+      skill: stat.skill ?? null,
+      skillLow: stat.skillLow ?? null,
+      skillHigh: stat.skillHigh ?? null,
+      nextTargetDifficulty: stat.nextTargetDifficulty ?? null,
+      minFailedDifficulty: stat.minFailedDifficulty ?? null,
+      maxFailedDifficulty: stat.maxFailedDifficulty ?? null,
+      failSpan: stat.failSpan ?? null,
+      recommendScore: stat.recommendScore,
+      lastAttemptAt: stat.lastAttemptAt ?? null,
+      lastSolvedAt: stat.lastSolvedAt ?? null,
+      difficultyBuckets: bucketObj
+    };
+  }
+
+  return {
+    schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    handle,
+    user: user || null,
+    source: {
+      userStatusCount: submissions.length,
+      problemsetCount: problemset.problems.length
+    },
+    problems,
+    tags: tagsObj,
+    submissions: submissions.filter(s => s.problem && !isPendingSubmission(s)).map(slimSubmission),
+    lastSubmissionId: resumeSubmissionId(submissions),
+    intermediate: { cacheTTLHours: analyticsOptions(options).cacheTtlHours }
+  };
+}
+
+function indexTagProblemKeys(snapshot) {
+  snapshot.tagProblemKeys = {};
+  for (const [key, p] of Object.entries(snapshot.problems)) {
+    for (const t of p.tags) (snapshot.tagProblemKeys[t] ||= []).push(key);
+  }
+}
+
+/* -------------- AGGREGATION ------------- */
+function aggregate(submissions, problemset, options) {
+  const state = {
+    perProblemMeta: buildProblemMeta(problemset),
+    perProblemOrigin: new Map(),
+    perProblemStatus: new Map(),
+    solvedProblems: new Set()
+  };
+  foldSubmissions(submissions, state, options);
+  return aggregateTags(state);
+}
+
+// Same as aggregate(), but resumes from the per-problem status stored in `snapshot`
+// and folds in only `submissions` (which must all be newer than the snapshot's).
+function aggregateIncremental(snapshot, submissions, problemset, options) {
+  const state = {
+    perProblemMeta: buildProblemMeta(problemset),
+    ...statusFromSnapshot(snapshot)
+  };
+  foldSubmissions(submissions, state, options);
+  return aggregateTags(state);
+}
+
+// The problemset may come from a user-supplied dump, and its fields end up in the page's HTML:
+// problems whose key would not be a plain "<contest>-<index>" are dropped, ratings that are not
+// positive numbers count as unrated and tags must be strings.
+function buildProblemMeta(problemset) {
+  const perProblemMeta = new Map();
+  for (const p of problemset.problems) {
+    if (!isWellFormedProblem(p)) continue;
+    perProblemMeta.set(probKey(p), {
+      tags: Array.isArray(p.tags) ? p.tags.filter(t => typeof t === "string") : [],
+      rating: Number.isFinite(p.rating) && p.rating > 0 ? p.rating : null,
+      name: typeof p.name === "string" && p.name ? p.name : probKey(p)
+    });
+  }
+  return perProblemMeta;
+}
+
+function isWellFormedProblem(p) {
+  if (typeof p?.index !== "string" || !/^\w+$/.test(p.index)) return false;
+  if (p.contestId != null) return Number.isInteger(p.contestId) && p.contestId > 0;
+  return p.problemsetName == null || (typeof p.problemsetName === "string" && /^\w+$/.test(p.problemsetName));
+}
+
+// Folds submissions into per-problem status/origin in chronological order.
+function foldSubmissions(submissions, { perProblemMeta, perProblemOrigin, perProblemStatus, solvedProblems }, options) {
+  const contestFailVerdicts = new Set(analyticsOptions(options).failVerdicts);
+
+  const ordered = [...submissions].sort((a, b) =>
+    (a.creationTimeSeconds - b.creationTimeSeconds) || (a.id - b.id)
+  );
+  for (const sub of ordered) {
+    const pr = sub.problem;
+    if (!pr || isPendingSubmission(sub)) continue;
+    const key = probKey(pr);
+    if (!perProblemMeta.has(key)) continue;
+
+    let origin = perProblemOrigin.get(key);
+    if (!origin) { origin = originFlags(null, false); perProblemOrigin.set(key, origin); }
+    let status = perProblemStatus.get(key);
+    if (!status) {
+      status = {
+        solved:false, failedContest:false, failedPractice:false, firstAcAt:null, lastAttemptAt:null,
+        verdicts:{}, rejectedBeforeAc:0, acLangs:[], failLangs:{}
+      };
+      perProblemStatus.set(key, status);
+    }
+
+    const type = participationOrigin(sub);
+    const lang = languageFamily(sub.programmingLanguage);
+    const verdict = sub.verdict;
+    const at = Number.isFinite(sub.creationTimeSeconds) ? sub.creationTimeSeconds : null;
+    if (at != null && (status.lastAttemptAt == null || at > status.lastAttemptAt)) status.lastAttemptAt = at;
+    if (verdict === "OK") {
+      status.solved = true;
+      if (at != null && (status.firstAcAt == null || at < status.firstAcAt)) status.firstAcAt = at;
+      origin[type] = true;
+      if (!status.acLangs.includes(lang)) status.acLangs.push(lang);
+      solvedProblems.add(key);
+    } else if (contestFailVerdicts.has(verdict)) {
+      // Counted before and after the first AC; only the failed flags stop at the solve.
+      status.verdicts[verdict] = (status.verdicts[verdict] || 0) + 1;
+      const byGroup = status.failLangs[lang] ??= {};
+      byGroup[verdictGroup(verdict)] = (byGroup[verdictGroup(verdict)] || 0) + 1;
+      if (!status.solved) {
+        status.rejectedBeforeAc++;
+        // failedContest (FailBand) is live-contest only; virtual / OOC fails count as practice.
+        if (type === "contest") status.failedContest = true;
+        else status.failedPractice = true;
+      }
+    }
+  }
+}
+
+function aggregateTags({ perProblemMeta, perProblemOrigin, perProblemStatus, solvedProblems }) {
+  const tagStats = new Map();
+  const tagRatingsAll = new Map();
+  const perTagProblemList = new Map();
+
+  function ensure(tag) {
+    let s = tagStats.get(tag);
+    if (!s) {
+      s = {
+        tag,
+        solved: 0,
+        solvedContest: 0,
+        solvedVirtual: 0,
+        solvedOoc: 0,
+        solvedPractice: 0,
+        totalAvailable: 0,
+        maxSolved: null,
+        solvePercent: 0,
+        nextTargetDifficulty: null,
+        solvedDiffs: new Set(),
+        recommendScore: 0,
+        minFailedDifficulty: null,
+        maxFailedDifficulty: null,
+        failSpan: null,
+        lastAttemptAt: null,
+        lastSolvedAt: null
+      };
+      tagStats.set(tag, s);
+    }
+    return s;
+  }
+
+  for (const [key, meta] of perProblemMeta.entries()) {
+    const { tags, rating } = meta;
+    const status = perProblemStatus.get(key);
+    const origin = perProblemOrigin.get(key);
+    const isSolved = status?.solved;
+
+    for (const t of tags) {
+      const stat = ensure(t);
+      stat.totalAvailable++;
+      if (!perTagProblemList.has(t)) perTagProblemList.set(t, new Set());
+      perTagProblemList.get(t).add(key);
+      if (rating) {
+        let set = tagRatingsAll.get(t);
+        if (!set) { set = new Set(); tagRatingsAll.set(t, set); }
+        set.add(rating);
+      }
+      if (status?.lastAttemptAt != null && (stat.lastAttemptAt == null || status.lastAttemptAt > stat.lastAttemptAt)) {
+        stat.lastAttemptAt = status.lastAttemptAt;
+      }
+      if (isSolved) {
+        stat.solved++;
+        if (status.firstAcAt != null && (stat.lastSolvedAt == null || status.firstAcAt > stat.lastSolvedAt)) {
+          stat.lastSolvedAt = status.firstAcAt;
+        }
+        const solvedAs = solveOrigin(origin);
+        if (solvedAs) stat[originCountKey(solvedAs)]++;
+        if (rating) {
+          stat.solvedDiffs.add(rating);
+          if (stat.maxSolved == null || rating > stat.maxSolved) stat.maxSolved = rating;
+        }
+      }
+    }
+  }
+
+  for (const stat of tagStats.values()) {
+    stat.solvePercent = stat.totalAvailable ? stat.solved / stat.totalAvailable : 0;
+  }
+
+  const tagArray = [...tagStats.values()].sort((a,b)=> b.solved - a.solved);
+
+  return {
+    tagArray,
+    perTagProblemList,
+    perProblemMeta,
+    solvedProblems,
+    perProblemOrigin,
+    tagRatingsAll,
+    perProblemStatus
+  };
+}
+
+function computeFailedDifficultyBand(agg) {
+  const { tagArray, perTagProblemList, perProblemMeta, perProblemStatus } = agg;
+  for (const stat of tagArray) {
+    const set = perTagProblemList.get(stat.tag);
+    if (!set) continue;
+    let minFail = null, maxFail = null;
+    for (const key of set) {
+      const meta = perProblemMeta.get(key);
+      const status = perProblemStatus.get(key);
+      if (!meta || !status) continue;
+      if (!status.solved && status.failedContest && meta.rating) {
+        if (minFail == null || meta.rating < minFail) minFail = meta.rating;
+        if (maxFail == null || meta.rating > maxFail) maxFail = meta.rating;
+      }
+    }
+    stat.minFailedDifficulty = minFail;
+    stat.maxFailedDifficulty = maxFail;
+    stat.failSpan = (minFail != null && maxFail != null) ? (maxFail - minFail) : null;
+  }
+}
+
+function buildAllTagDifficultyBuckets(agg) {
+  const map = new Map();
+  const {
+    tagArray,
+    perTagProblemList,
+    perProblemMeta,
+    perProblemOrigin,
+    perProblemStatus
+  } = agg;
+
+  for (const stat of tagArray) {
+    const tag = stat.tag;
+    const set = perTagProblemList.get(tag);
+    if (!set) continue;
+    const diffMap = new Map();
+    for (const key of set) {
+      const meta = perProblemMeta.get(key);
+      if (!meta) continue;
+      const rating = meta.rating || 0;
+      let b = diffMap.get(rating);
+      if (!b) { b = emptyDiffBucket(); diffMap.set(rating, b); }
+      countInDiffBucket(b, perProblemStatus.get(key), perProblemOrigin.get(key));
+    }
+    map.set(tag, diffMap);
+  }
+  return map;
+}
+
+function emptyDiffBucket() {
+  return { solvedContest:0, solvedVirtual:0, solvedOoc:0, solvedPractice:0, failedContest:0, unsolved:0, total:0 };
+}
+
+function countInDiffBucket(b, status, origin) {
+  b.total++;
+  if (status?.solved) b[originCountKey(solveOrigin(origin) || "practice")]++;
+  else if (status?.failedContest) b.failedContest++;
+  else b.unsolved++;
+}
+
+function solvedInBucket(b) {
+  return SOLVE_ORIGINS.reduce((n, o) => n + (b[originCountKey(o)] || 0), 0);
+}
+
+function probKey(p) {
+  if (!p) return "PS-?";
+  if (!p.contestId && !p.problemsetName) return `PS-${p.index}`;
+  return `${p.contestId || p.problemsetName}-${p.index}`;
+}
+
+function parseProbKey(key) {
+  const i = key.lastIndexOf("-");
+  return { contest: key.slice(0, i), index: key.slice(i + 1) };
+}
+
+/* -------------- LANGUAGES --------------- */
+// programmingLanguage is a compiler name ("GNU G++20 13.2 (64 bit, winlibs)", "PyPy 3-64", ...);
+// stats are kept per family. First match wins, so JavaScript is tested before Java.
+const LANGUAGE_FAMILIES = [
+  ["C++", /c\+\+|g\+\+|clang\+\+/i],
+  ["Python", /python|pypy/i],
+  ["JavaScript", /javascript|node\.js|v8/i],
+  ["Java", /^java\b/i],
+  ["Kotlin", /kotlin/i],
+  ["C#", /c#|^mono\b|^\.net/i],
+  ["C", /^gnu c\d*\b|\bc1[17]\b/i],
+  ["Rust", /rust/i],
+  ["Go", /^go\b/i]
+];
+
+function languageFamily(lang) {
+  if (!lang) return "Other";
+  const hit = LANGUAGE_FAMILIES.find(([, re]) => re.test(lang));
+  return hit ? hit[0] : "Other";
+}
+
+// failLangs: { family: { WA: n, TLE: n, ... } } (verdict groups)
+function copyFailLangs(failLangs) {
+  return Object.fromEntries(Object.entries(failLangs || {}).map(([lang, g]) => [lang, { ...g }]));
+}
+
+// Per family over `keys`: { solved, failed, groups: { WA, TLE, ... } }, most solved first.
+function languageMixForKeys(keys, snapshot) {
+  const mix = new Map();
+  const entry = lang => {
+    if (!mix.has(lang)) mix.set(lang, { lang, solved: 0, failed: 0, groups: {} });
+    return mix.get(lang);
+  };
+  for (const key of keys) {
+    const p = snapshot.problems[key];
+    if (!p) continue;
+    for (const lang of p.acLangs || []) entry(lang).solved++;
+    for (const [lang, groups] of Object.entries(p.failLangs || {})) {
+      const e = entry(lang);
+      for (const [g, n] of Object.entries(groups)) {
+        e.groups[g] = (e.groups[g] || 0) + n;
+        e.failed += n;
+      }
+    }
+  }
+  return [...mix.values()].sort((a, b) => b.solved - a.solved || b.failed - a.failed);
+}
+
+// Families seen in a submission list, most used first (language filter options).
+function submissionLanguages(submissions) {
+  const counts = new Map();
+  for (const s of submissions || []) {
+    const lang = languageFamily(s.programmingLanguage);
+    counts.set(lang, (counts.get(lang) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([lang]) => lang);
+}
+
+/* -------------- PARTICIPATION ----------- */
+// Practice submissions to contest problems carry a contestId too, so only author.participantType
+// tells them apart. Submissions without it (old exports) fall back to the contestId test.
+function participationOrigin(sub) {
+  switch (sub.participantType ?? sub.author?.participantType) {
+    case "CONTESTANT": return "contest";
+    case "VIRTUAL": return "virtual";
+    case "OUT_OF_COMPETITION": return "ooc";
+    case "PRACTICE":
+    case "MANAGER": return "practice";
+    default: return sub.contestId ? "contest" : "practice";
+  }
+}
+
+function solveOrigin(origin) {
+  return SOLVE_ORIGINS.find(o => origin?.[o]) || null;
+}
+
+function originFlags(origin, solved) {
+  return Object.fromEntries(SOLVE_ORIGINS.map(o => [o, !!solved && !!origin?.[o]]));
+}
+
+// "virtual" -> "solvedVirtual" (tag stats and difficulty buckets)
+function originCountKey(o) {
+  return "solved" + o[0].toUpperCase() + o.slice(1);
+}
+
+/* -------------- VERDICT MIX ------------- */
+function verdictGroup(verdict) {
+  switch (verdict) {
+    case "WRONG_ANSWER": return "WA";
+    case "TIME_LIMIT_EXCEEDED":
+    case "IDLENESS_LIMIT_EXCEEDED": return "TLE";
+    case "MEMORY_LIMIT_EXCEEDED": return "MLE";
+    case "RUNTIME_ERROR": return "RE";
+    default: return "other";
+  }
+}
+
+// Failed-submission counts per verdict group over `keys`: { WA, TLE, MLE, RE, other, total }.
+function verdictMixForKeys(keys, snapshot) {
+  const mix = { WA: 0, TLE: 0, MLE: 0, RE: 0, other: 0, total: 0 };
+  for (const key of keys) {
+    const verdicts = snapshot.problems[key]?.verdicts;
+    if (!verdicts) continue;
+    for (const [v, n] of Object.entries(verdicts)) {
+      mix[verdictGroup(v)] += n;
+      mix.total += n;
+    }
+  }
+  return mix;
+}
+
+function hasVerdictGroup(p, group) {
+  return !!p?.verdicts && Object.keys(p.verdicts).some(v => verdictGroup(v) === group);
+}
+
+/* -------------- ATTEMPTS TO AC ---------- */
+// Over the solved problems in `keys` (attempts = rejections before the first AC + 1):
+// firstTryRate (null when nothing is solved), meanAttempts, medianAttempts, hardSolves.
+function attemptStatsForKeys(keys, snapshot) {
+  const attempts = [];
+  for (const key of keys) {
+    const p = snapshot.problems[key];
+    if (p?.solved) attempts.push((p.rejectedBeforeAc || 0) + 1);
+  }
+  if (!attempts.length) return { firstTryRate: null, meanAttempts: null, medianAttempts: null, hardSolves: 0 };
+  attempts.sort((a, b) => a - b);
+  const mid = attempts.length >> 1;
+  return {
+    firstTryRate: attempts.filter(n => n === 1).length / attempts.length,
+    meanAttempts: attempts.reduce((s, n) => s + n, 0) / attempts.length,
+    medianAttempts: attempts.length % 2 ? attempts[mid] : (attempts[mid - 1] + attempts[mid]) / 2,
+    hardSolves: attempts.filter(n => n >= HARD_SOLVE_ATTEMPTS).length
+  };
+}
+
+/* -------------- SKILL ESTIMATE ---------- */
+// Elo-style model: P(solve) = 1 / (1 + 10^((rating - skill) / 400)). The skill is the MAP fit
+// over the tag's rated problems the user has tried, with a Laplace-approximation interval.
+// Untouched problems say nothing (never tried) and are left out.
+function computeSkillEstimates(agg, userRating) {
+  const { tagArray, perTagProblemList, perProblemMeta, perProblemStatus } = agg;
+  for (const stat of tagArray) {
+    const outcomes = [];   // [rating, wins, losses]
+    const unsolvedRatings = new Set();
+    for (const key of perTagProblemList.get(stat.tag) || []) {
+      const rating = perProblemMeta.get(key)?.rating;
+      if (!rating) continue;
+      const status = perProblemStatus.get(key);
+      if (status?.solved) {
+        outcomes.push([rating, 1, Math.min(1, (status.rejectedBeforeAc || 0) * SKILL_REJECT_WEIGHT)]);
+      } else {
+        unsolvedRatings.add(rating);
+        if (status?.failedContest || status?.failedPractice) outcomes.push([rating, 0, 1]);
+      }
+    }
+    Object.assign(stat, fitSkill(outcomes, userRating ?? SKILL_PRIOR_RATING));
+    stat.nextTargetDifficulty = nextTargetRating(stat, unsolvedRatings, agg.tagRatingsAll.get(stat.tag));
+  }
+}
+
+// Newton iterations on the log posterior; { skill, skillLow, skillHigh } rounded, all null without data.
+function fitSkill(outcomes, prior) {
+  if (!outcomes.length) return { skill: null, skillLow: null, skillHigh: null };
+  const k = Math.LN10 / 400;
+  const priorPrecision = 1 / (SKILL_PRIOR_SD * SKILL_PRIOR_SD);
+  let theta = prior, info = priorPrecision;
+  for (let iter = 0; iter < 50; iter++) {
+    let grad = -(theta - prior) * priorPrecision;
+    info = priorPrecision;
+    for (const [rating, solves, losses] of outcomes) {
+      const excess = theta - SKILL_EASY_MARGIN - rating;
+      const wins = excess > 0 ? solves * Math.exp(-excess / SKILL_EASY_MARGIN) : solves;
+      const p = 1 / (1 + Math.exp(k * (rating - theta)));
+      grad += k * (wins * (1 - p) - losses * p);
+      info += k * k * (wins + losses) * p * (1 - p);
+    }
+    const step = Math.max(-400, Math.min(400, grad / info));
+    theta += step;
+    if (Math.abs(step) < 0.5) break;
+  }
+  const half = SKILL_Z95 / Math.sqrt(info);
+  return { skill: Math.round(theta), skillLow: Math.round(theta - half), skillHigh: Math.round(theta + half) };
+}
+
+// Lowest rating above the skill's lower bound that still has an unsolved problem in the tag,
+// kept to at most SKILL_NEXT_STEP above maxSolved and to the lowest failed rating when such a
+// problem exists. Without a skill estimate: the next distinct rating above maxSolved (the
+// pre-skill rule).
+function nextTargetRating(stat, unsolvedRatings, allRatings) {
+  if (stat.skill == null) {
+    if (stat.maxSolved == null) return null;
+    return [...(allRatings || [])].filter(r => r > stat.maxSolved).sort((a, b) => a - b)[0] ?? null;
+  }
+  const above = [...unsolvedRatings].filter(r => r > stat.skillLow).sort((a, b) => a - b);
+  const cap = Math.min((stat.maxSolved ?? stat.skillLow) + SKILL_NEXT_STEP, stat.minFailedDifficulty ?? Infinity);
+  return above.find(r => r <= cap) ?? above[0] ?? null;
+}
+
+/* -------------- RELEVANT COVERAGE ------- */
+// Coverage among the tag's problems rated within ±relevantWindow of a centre: the user's
+// rating or the tag's max solved (relevantCenter), each falling back to the other.
+// `buckets` are [rating, difficulty bucket] pairs; unrated problems never count.
+function relevantCoverage(stat, buckets, userRating, options) {
+  const opts = analyticsOptions(options);
+  const center = opts.relevantCenter === "maxSolved"
+    ? (stat.maxSolved ?? userRating)
+    : (userRating ?? stat.maxSolved);
+  if (center == null) return { relevantCenter: null, relevantSolved: 0, relevantTotal: 0, relevantCoverage: null };
+  let solved = 0, total = 0;
+  for (const [rating, b] of buckets) {
+    const r = Number(rating);
+    if (!r || Math.abs(r - center) > opts.relevantWindow) continue;
+    solved += solvedInBucket(b);
+    total += b.total;
+  }
+  return { relevantCenter: center, relevantSolved: solved, relevantTotal: total, relevantCoverage: total ? solved / total : null };
+}
+
+/* -------------- UNRATED ESTIMATE -------- */
+// Rough difficulty of an unrated problem from its contest's division and its letter (B1 / B2
+// count as B). Never stored in a snapshot: Max, Next, FailBand and the buckets stay rated-only.
+const DIVISION_INDEX_RATINGS = {
+  div4:        [800, 1000, 1200, 1400, 1600, 1900, 2100],
+  div3:        [800, 1000, 1300, 1600, 1900, 2200, 2400],
+  div2:        [900, 1200, 1500, 1900, 2200, 2500, 2800],
+  educational: [900, 1200, 1500, 1800, 2100, 2400, 2700],
+  div1:        [1800, 2100, 2400, 2700, 3000, 3300, 3500],
+  combined:    [1000, 1300, 1600, 1900, 2200, 2500, 2800, 3100, 3400]
+};
+const ESTIMATE_STEP = 300;     // per letter past the end of a row
+const ESTIMATE_MAX = 3500;
+
+// contest.list name -> DIVISION_INDEX_RATINGS row, or null when a guess would be meaningless.
+function contestDivision(name) {
+  if (!name || /april fools/i.test(name)) return null;
+  if (/educational/i.test(name)) return "educational";
+  if (/div\.?\s*1\s*\+\s*(div\.?\s*)?2|global round/i.test(name)) return "combined";
+  const m = /div(?:ision)?\.?\s*([1-4])\b/i.exec(name);
+  return m ? "div" + m[1] : "combined";
+}
+
+// `contestNames`: contestId -> contest name. Null for problemset-only and gym problems.
+function estimateProblemRating(key, contestNames) {
+  const { contest, index } = parseProbKey(key);
+  const ratings = DIVISION_INDEX_RATINGS[contestDivision(contestNames?.[contest])];
+  const letter = (index || "").toUpperCase().charCodeAt(0) - 65;
+  if (!ratings || !(letter >= 0 && letter < 26)) return null;
+  const last = ratings.length - 1;
+  return Math.min(letter <= last ? ratings[letter] : ratings[last] + ESTIMATE_STEP * (letter - last), ESTIMATE_MAX);
+}
+
+/* -------------- RECOMMENDATION ---------- */
+function computeRecommendationScores(tags, tagRatingsAll, options) {
+  if (!tags.length) return;
+  const opts = analyticsOptions(options);
+  const maxSolved = Math.max(...tags.map(t => t.solved), 1);
+  const maxMaxDiff = Math.max(...tags.map(t => t.maxSolved || 0), 1);
+  for (const t of tags) {
+    const coverageGap = 1 - t.solvePercent;
+    const relevantGap = 1 - (t.relevantCoverage ?? t.solvePercent);
+    // Next now sits just above the skill, which can be below maxSolved: never negative.
+    const diffDelta = t.nextTargetDifficulty != null
+      ? Math.max(0, t.nextTargetDifficulty - (t.skill ?? t.maxSolved ?? 0))
+      : 500;
+    const normNext = 1 / (1 + diffDelta / 300);
+    const normSolved = t.solved / maxSolved;
+    const normMax    = (t.maxSolved || 0) / maxMaxDiff;
+    t.recommendScore =
+      opts.recommendWeightCoverageGap * coverageGap +
+      opts.recommendWeightRelevantGap * relevantGap +
+      opts.recommendWeightNextDiff    * normNext +
+      opts.recommendWeightSolved      * (0.5 * normSolved + 0.5 * normMax);
+  }
+}
+
+/* -------------- SNAPSHOT → AGG ---------- */
+// Per-problem status/origin maps as stored in a snapshot (the input to an incremental fold).
+function statusFromSnapshot(snapshot) {
+  const perProblemOrigin = new Map();
+  const perProblemStatus = new Map();
+  const solvedProblems   = new Set();
+  for (const [key, p] of Object.entries(snapshot.problems)) {
+    if (p.solved) solvedProblems.add(key);
+    perProblemOrigin.set(key, originFlags(p, p.solved));
+    perProblemStatus.set(key, {
+      solved: p.solved,
+      failedContest: p.failedContest,
+      failedPractice: p.failedPractice,
+      firstAcAt: p.firstAcAt,
+      lastAttemptAt: p.lastAttemptAt,
+      verdicts: { ...p.verdicts },   // copied: incremental folds mutate the status
+      rejectedBeforeAc: p.rejectedBeforeAc,
+      acLangs: [...p.acLangs],
+      failLangs: copyFailLangs(p.failLangs)
+    });
+  }
+  return { perProblemOrigin, perProblemStatus, solvedProblems };
+}
+
+// Rebuilds the in-memory aggregation maps from a (cached or derived) snapshot.
+function aggFromSnapshot(snapshot, options) {
+  const perProblemMeta    = new Map();
+  const perTagProblemList = new Map();
+  const tagArray          = [];
+  const { perProblemOrigin, perProblemStatus, solvedProblems } = statusFromSnapshot(snapshot);
+
+  for (const [key, p] of Object.entries(snapshot.problems)) {
+    perProblemMeta.set(key, { rating: p.rating, name: p.name, tags: p.tags });
+  }
+
+  for (const [tag, tObj] of Object.entries(snapshot.tags)) {
+    tagArray.push({
+      tag,
+      totalAvailable: tObj.totalAvailable,
+      solved: tObj.solved,
+      solvedContest: tObj.solvedContest,
+      solvedVirtual: tObj.solvedVirtual,
+      solvedOoc: tObj.solvedOoc,
+      solvedPractice: tObj.solvedPractice,
+      solvePercent: tObj.solvePercent,
+      maxSolved: tObj.maxSolved,
+      skill: tObj.skill ?? null,
+      skillLow: tObj.skillLow ?? null,
+      skillHigh: tObj.skillHigh ?? null,
+      nextTargetDifficulty: tObj.nextTargetDifficulty,
+      minFailedDifficulty: tObj.minFailedDifficulty,
+      maxFailedDifficulty: tObj.maxFailedDifficulty,
+      failSpan: tObj.failSpan,
+      recommendScore: tObj.recommendScore,
+      lastAttemptAt: tObj.lastAttemptAt,
+      lastSolvedAt: tObj.lastSolvedAt,
+      unratedTotal: tObj.difficultyBuckets[0]?.total ?? 0,
+      unratedSolved: tObj.difficultyBuckets[0] ? solvedInBucket(tObj.difficultyBuckets[0]) : 0,
+      verdictMix: verdictMixForKeys(snapshot.tagProblemKeys?.[tag] || [], snapshot),
+      languageMix: languageMixForKeys(snapshot.tagProblemKeys?.[tag] || [], snapshot),
+      ...relevantCoverage(tObj, Object.entries(tObj.difficultyBuckets), snapshot.user?.rating ?? null, options),
+      ...attemptStatsForKeys(snapshot.tagProblemKeys?.[tag] || [], snapshot)
+    });
+  }
+  if (snapshot.tagProblemKeys) {
+    for (const [tag, arr] of Object.entries(snapshot.tagProblemKeys)) {
+      perTagProblemList.set(tag, new Set(arr));
+    }
+  }
+
+  return {
+    tagArray,
+    perTagProblemList,
+    perProblemMeta,
+    perProblemOrigin,
+    perProblemStatus,
+    solvedProblems,
+    tagRatingsAll: new Map()
+  };
+}
+
+/* -------------- NODE EXPORTS --------------- */
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SNAPSHOT_SCHEMA_VERSION,
+    SOLVE_ORIGINS,
+    VERDICT_GROUPS,
+    HARD_SOLVE_ATTEMPTS,
+    buildSnapshotFromData,
+    buildSnapshotFromAgg,
+    deriveSnapshot,
+    aggregate,
+    aggregateIncremental,
+    computeFailedDifficultyBand,
+    buildAllTagDifficultyBuckets,
+    computeRecommendationScores,
+    computeSkillEstimates,
+    fitSkill,
+    relevantCoverage,
+    contestDivision,
+    estimateProblemRating,
+    buildSnapshot,
+    slimUser,
+    aggFromSnapshot,
+    statusFromSnapshot,
+    indexTagProblemKeys,
+    attemptStatsForKeys,
+    verdictMixForKeys,
+    languageMixForKeys,
+    languageFamily,
+    participationOrigin,
+    probKey
+  };
+}
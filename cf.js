@@ -12,26 +12,54 @@
 //
 // No external libs. Pure JS + SVG for bubbles + Canvas for difficulty chart.
 //
-// SCHEMA version stays at 2 (since we already bumped).
+// Aggregation and the snapshot schema live in analytics.js (no DOM; also loadable from Node).
+//
+// Storage (storage.js, chrome.storage.local): problem metadata (name/rating/tags) lives once in
+// the shared problemset cache; stored per-handle snapshots keep only the user's status for
+// problems they touched and are re-hydrated against the problemset on load. Older schema
+// versions are migrated there rather than dropped.
 
 /* ---------------- CONFIG ---------------- */
-const MAX_ROWS = 50;
-const CACHE_TTL_HOURS = 6;
-const SNAPSHOT_SCHEMA_VERSION = 2;
-
-const RECOMMEND_WEIGHT_COVERAGE_GAP = 0.55;
-const RECOMMEND_WEIGHT_NEXT_DIFF    = 0.30;
-const RECOMMEND_WEIGHT_SOLVED       = 0.15;
-
-const BUBBLE_PADDING = 4;
-const BUBBLE_ITERATIONS = 500;
-const BUBBLE_WIDTH = 1000;
-const BUBBLE_HEIGHT = 600;
+// User-editable settings (table size, cache lifetime, weights, chart sizes, failure verdicts)
+// live in settings.js and are read through `settings`.
+const HISTORY_MAX_ENTRIES = 400;
+const INCREMENTAL_PAGE_SIZE = 100;
+const PROBLEMSET_CACHE_KEY = "problemset";
+const PROBLEMSET_CACHE_VERSION = 1;
+const PROBLEMSET_TTL_HOURS = 24;
+const CONTESTS_CACHE_KEY = "contests";
+const CONTESTS_CACHE_VERSION = 1;
+const TIMELINE_TOP_TAGS = 8;
+const TIMELINE_COLORS = ["#1976d2","#2e8b57","#f5b642","#d55454","#7e57c2","#26a69a","#8d6e63","#ec407a","#9e9e9e"];
+
+/* API client */
+const API_BASE = "https://codeforces.com/api/";
+const API_MIN_INTERVAL_MS = 2000;  // Codeforces allows one call per 2 seconds
+const API_TIMEOUT_MS = 60000;
+const API_MAX_RETRIES = 3;
+const API_BACKOFF_BASE_MS = 2000;
+// Throttle state lives up here because init() may issue the first call before the rest of the file is evaluated.
+let apiQueue = Promise.resolve();
+let apiLastCallAt = 0;
+// contestId -> name, loaded by loadContestNames() only when unrated problems are estimated.
+let contestNames = null;
+
+const SUGGEST_COUNT = 10;
+const SUGGEST_WEAK_TAGS = 8;
+const SUGGEST_RATING_SPREAD = 200; // rating distance at which closeness drops to 1/e
+
+/* Participation type display (SOLVE_ORIGINS is in analytics.js) */
+const SOLVE_ORIGIN_LABELS = { contest: "Contest", virtual: "Virtual", ooc: "Out of competition", practice: "Practice" };
+const SOLVE_ORIGIN_SHORT = { contest: "C", virtual: "V", ooc: "O", practice: "P" };
+const SOLVE_ORIGIN_COLORS = { contest: "#2e8b57", virtual: "#8e44ad", ooc: "#e67e22", practice: "#1976d2" };
+
+/* Verdict group display (VERDICT_GROUPS is in analytics.js) */
+const VERDICT_GROUP_COLORS = { WA: "#d55454", TLE: "#f5b642", MLE: "#7e57c2", RE: "#8d6e63", other: "#9e9e9e" };
+const VERDICT_GROUP_LABELS = { WA: "Wrong answer", TLE: "Time limit", MLE: "Memory limit", RE: "Runtime error", other: "Other" };
 
 /* Graph constants */
-const GRAPH_HEIGHT = 340;
-const GRAPH_WIDTH  = 900;
 const GRAPH_MARGIN = { top: 30, right: 40, bottom: 40, left: 50 };
+const GRAPH_UNRATED_SLOT = 70;   // px kept right of the rated axis for the unrated bar
 const GRAPH_FONT   = "12px sans-serif";
 
 /* Color helpers */
@@ -62,15 +90,17 @@ function hexToRgb(h) {
 }
 
 /* --------------- ENTRY ------------------ */
-(function init() {
+(async function init() {
   if (!/^\/profile\/[^/?#]+$/.test(location.pathname)) return;
   if (document.getElementById("cf-tag-stats-block")) return;
   const handle = decodeURIComponent(location.pathname.split("/")[2]);
+  document.addEventListener(STORAGE_WARNING_EVENT, showStorageWarning);
+  await loadSettings();
   boot(handle, false);
 })();
 
 /* --------------- BOOT / CACHE ------------ */
-async function boot(handle, forceRefresh) {
+async function boot(handle, forceRefresh, fullRefresh) {
   injectStyles();
   const anchor = document.querySelector(".info") || document.querySelector(".userbox");
   if (!anchor) return;
@@ -84,506 +114,671 @@ async function boot(handle, forceRefresh) {
     anchor.parentNode.insertBefore(placeholder, anchor.nextSibling);
   }
 
-  const cacheKey = "cfTagStats:" + handle;
-  let snapshot = null;
-  if (!forceRefresh) snapshot = loadSnapshot(cacheKey);
-
-  if (snapshot) {
-    console.log("[TagStats] Using cached snapshot");
-    window.__CF_SNAPSHOT__ = snapshot;
-    renderFromSnapshot(snapshot);
-  } else {
-    console.log("[TagStats] Fetching fresh data...");
-    const fresh = await fetchAndBuildSnapshot(handle);
-    if (fresh) {
-      saveSnapshot(cacheKey, fresh);
-      window.__CF_SNAPSHOT__ = fresh;
-      renderFromSnapshot(fresh);
-    } else {
-      const blk = document.getElementById("cf-tag-stats-block");
-      if (blk) blk.innerHTML = `<div style="color:#b00;">Failed to load Codeforces data.</div>`;
+  try {
+    const snapshot = await getSnapshot(handle, { refresh: forceRefresh, full: fullRefresh });
+    await showSnapshot(snapshot);
+  } catch(e) {
+    console.error("[TagStats] Loading failed", e);
+    const message = describeApiError(e);
+    // Fall back to whatever we have cached, however old, rather than an empty block.
+    const cached = await loadSnapshot(snapshotKey(handle), { allowExpired: true });
+    if (cached) {
+      await showSnapshot(cached, { stale: isSnapshotExpired(cached), error: message });
+      return;
     }
+    const blk = document.getElementById("cf-tag-stats-block");
+    if (!blk) return;
+    // Import stays available: saved dumps are the way in when the API is unreachable.
+    blk.innerHTML = `
+      <div style="color:#b00;">Failed to load Codeforces data: ${escapeHTML(message)}
+        <button id="cf-tag-retry" class="cf-tag-refresh-btn">Retry</button>
+        ${IMPORT_CONTROL_HTML}
+      </div>
+      <div id="cf-import-error" class="cf-api-error" style="display:none;"></div>`;
+    blk.querySelector("#cf-tag-retry").addEventListener("click", () => {
+      blk.innerHTML = `<div style="font-size:13px;opacity:.7;">Loading Tag Stats...</div>`;
+      boot(handle, true, fullRefresh);
+    });
+    bindImportControl(blk, handle);
   }
 }
 
-/* -------------- SNAPSHOT STORAGE ---------- */
-function loadSnapshot(key) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return null;
-    const obj = JSON.parse(raw);
-    if (obj.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) return null;
-    const ageMs = Date.now() - new Date(obj.generatedAt).getTime();
-    if (ageMs > CACHE_TTL_HOURS * 3600 * 1000) return null;
-    return obj;
-  } catch { return null; }
-}
-function saveSnapshot(key, snap) {
-  try { localStorage.setItem(key, JSON.stringify(snap)); } catch {}
+// Renders `snapshot` once the cached contest names are in; a first contest.list fetch
+// re-renders it later unless another snapshot has been shown since.
+async function showSnapshot(snapshot, opts) {
+  window.__CF_SNAPSHOT__ = snapshot;
+  await loadContestNames(() => {
+    if (window.__CF_SNAPSHOT__ === snapshot) renderFromSnapshot(snapshot, opts);
+  });
+  renderFromSnapshot(snapshot, opts);
 }
 
-/* -------------- FETCH + BUILD ------------- */
-async function fetchAndBuildSnapshot(handle) {
-  try {
-    const [subsData, psData] = await Promise.all([
-      fetchJSON(`https://codeforces.com/api/user.status?handle=${handle}`),
-      fetchJSON("https://codeforces.com/api/problemset.problems")
-    ]);
-    if (!subsData || !psData) return null;
-
-    const submissions = subsData.result;
-    const problemset  = psData.result;
-
-    const agg = aggregate(submissions, problemset);
-    computeRecommendationScores(agg.tagArray, agg.tagRatingsAll);
-    computeFailedDifficultyBand(agg);
-    const tagDifficultyBuckets = buildAllTagDifficultyBuckets(agg);
+function snapshotKey(handle) {
+  return "snapshot:" + handle;
+}
 
-    const snapshot = buildSnapshot({
-      handle,
-      submissions,
-      problemset,
-      agg,
-      tagDifficultyBuckets
-    });
+// Cache-first snapshot lookup; shared by the profile block and compare mode.
+// `refresh` skips a still-valid cache; an expired or refreshed cache is updated incrementally
+// unless `full` asks for a complete refetch. Throws CfApiError when nothing could be fetched.
+// `full` also refetches the shared problemset.
+async function getSnapshot(handle, { refresh = false, full = false } = {}) {
+  const cacheKey = snapshotKey(handle);
+  const cached = full ? null : await loadSnapshot(cacheKey, { allowExpired: true });
+  // Snapshots migrated from before v4 / v7 / v8 have no (usable) submission list and are refetched right away.
+  if (cached && !refresh && !isSnapshotExpired(cached) && cached.submissions) {
+    console.log("[TagStats] Using cached snapshot", handle);
+    return cached;
+  }
+  let fresh = null;
+  if (cached?.submissions && cached.lastSubmissionId != null) {
+    console.log("[TagStats] Fetching submissions newer than", cached.lastSubmissionId, handle);
+    fresh = await refreshSnapshotIncremental(handle, cached);
+  }
+  if (!fresh) {
+    console.log("[TagStats] Fetching fresh data...", handle);
+    fresh = await fetchAndBuildSnapshot(handle, { forceProblemset: full });
+  }
+  await saveSnapshot(cacheKey, fresh);
+  await appendHistory(handle, fresh);
+  return fresh;
+}
 
-    // store tag->problem sets
-    snapshot.tagProblemKeys = {};
-    for (const [t,set] of agg.perTagProblemList.entries()) {
-      snapshot.tagProblemKeys[t] = [...set];
-    }
-    return snapshot;
+/* -------------- SNAPSHOT STORAGE ---------- */
+async function loadSnapshot(key, { allowExpired = false } = {}) {
+  try {
+    const obj = migrateSnapshot(await storageLoad(key), SNAPSHOT_SCHEMA_VERSION);
+    if (!obj) return null;
+    if (!allowExpired && isSnapshotExpired(obj)) return null;
+    // Any problemset will do for hydration; a stale one only lacks the newest problems.
+    const cache = await loadProblemsetCache({ allowExpired: true });
+    if (!cache) return null;
+    return hydrateSnapshot(obj, cache.problemset);
   } catch(e) {
-    console.error("[TagStats] fetchAndBuildSnapshot error", e);
+    console.warn("[TagStats] Could not load", key, e);
     return null;
   }
 }
+function isSnapshotExpired(snap) {
+  const ageMs = Date.now() - new Date(snap.generatedAt).getTime();
+  return ageMs > settings.cacheTtlHours * 3600 * 1000;
+}
+function saveSnapshot(key, snap) {
+  return storageSave(key, dehydrateSnapshot(snap));
+}
 
-/* -------------- SNAPSHOT SCHEMA ----------- */
-function buildSnapshot({ handle, submissions, problemset, agg, tagDifficultyBuckets }) {
-  const {
-    tagArray,
-    perTagProblemList,
-    perProblemMeta,
-    solvedProblems,
-    perProblemOrigin,
-    perProblemStatus
-  } = agg;
+// Stored form: problems keep only status fields, and only for problems the user has touched;
+// submissions carry the problem key instead of the problem object.
+function dehydrateSnapshot(snap) {
+  const problems = {};
+  for (const [key, p] of Object.entries(snap.problems)) {
+    if (!p.solved && !p.failedContest && !p.failedPractice && p.lastAttemptAt == null) continue;
+    const { rating, name, tags, ...status } = p;
+    problems[key] = status;
+  }
+  const { tagProblemKeys, ...rest } = snap;
+  const submissions = snap.submissions && snap.submissions.map(s => ({ ...s, problem: probKey(s.problem) }));
+  return { ...rest, problems, submissions };
+}
 
+// Inverse of dehydrateSnapshot: every problemset problem gets its metadata back plus the
+// stored status (or an untouched default). Metadata left in older stored forms is ignored.
+function hydrateSnapshot(stored, problemset) {
   const problems = {};
-  for (const [key, meta] of perProblemMeta.entries()) {
-    const status = perProblemStatus.get(key);
-    const origin = perProblemOrigin.get(key);
+  for (const [key, meta] of buildProblemMeta(problemset).entries()) {
+    const { rating, name, tags, ...status } = stored.problems[key] || {};
     problems[key] = {
       rating: meta.rating,
       name: meta.name,
       tags: meta.tags,
-      solved: !!status?.solved,
-      contest: !!origin?.contest && !!status?.solved,
-      practice: !!origin?.practice && !!status?.solved,
-      failedContest: !!status?.failedContest && !status?.solved,
-      failedPractice: !!status?.failedPractice && !status?.solved
+      solved: false,
+      ...originFlags(null, false),
+      failedContest: false,
+      failedPractice: false,
+      firstAcAt: null,
+      lastAttemptAt: null,
+      verdicts: {},
+      rejectedBeforeAc: 0,
+      acLangs: [],
+      failLangs: {},
+      ...status
     };
   }
+  const submissions = stored.submissions && stored.submissions.map(s =>
+    typeof s.problem === "string" ? { ...s, problem: problemFromKey(s.problem) } : s
+  );
+  const snap = { ...stored, problems, submissions };
+  indexTagProblemKeys(snap);
+  return snap;
+}
 
-  const tagsObj = {};
-  for (const stat of tagArray) {
-    const diffBuckets = tagDifficultyBuckets.get(stat.tag) || new Map();
-    const bucketObj = {};
-    for (const [diff, b] of diffBuckets.entries()) {
-      bucketObj[diff] = {
-        solvedContest: b.solvedContest,
-        solvedPractice: b.solvedPractice,
-        failedContest: b.failedContest,
-        unsolved: b.unsolved,
-        total: b.total
-      };
-    }
-    tagsObj[stat.tag] = {
-      totalAvailable: stat.totalAvailable,
-      solved: stat.solved,
-      solvedContest: stat.solvedContest,
-      solvedPractice: stat.solvedPractice,
-      solvePercent: stat.solvePercent,
-      maxSolved: stat.maxSolved,
-      nextTargetDifficulty: stat.nextTargetDifficulty ?? null,
-      minFailedDifficulty: stat.minFailedDifficulty ?? null,
-      maxFailedDifficulty: stat.maxFailedDifficulty ?? null,
-      failSpan: stat.failSpan ?? null,
-      recommendScore: stat.recommendScore,
-      difficultyBuckets: bucketObj
-    };
+/* -------------- PROBLEMSET CACHE ---------- */
+// problemset.problems is the same for every handle, so it is fetched and stored once.
+async function loadProblemsetCache({ allowExpired = false } = {}) {
+  try {
+    const obj = await storageLoad(PROBLEMSET_CACHE_KEY);
+    if (!obj) return null;
+    if (obj.version !== PROBLEMSET_CACHE_VERSION || !Array.isArray(obj.problemset?.problems)) return null;
+    if (!allowExpired && isProblemsetExpired(obj)) return null;
+    return obj;
+  } catch { return null; }
+}
+function isProblemsetExpired(cache) {
+  return Date.now() - new Date(cache.fetchedAt).getTime() > PROBLEMSET_TTL_HOURS * 3600 * 1000;
+}
+
+// Returns a problemset.problems-like result ({ problems }), from cache unless expired or `force`.
+// An expired cache still beats failing outright when the API is unreachable.
+async function getProblemset({ force = false } = {}) {
+  const cached = await loadProblemsetCache({ allowExpired: true });
+  if (cached && !force && !isProblemsetExpired(cached)) return cached.problemset;
+  try {
+    const data = await fetchJSON(`${API_BASE}problemset.problems`);
+    const problemset = { problems: data.result.problems.map(slimProblem) };
+    const entry = { version: PROBLEMSET_CACHE_VERSION, fetchedAt: new Date().toISOString(), problemset };
+    await storageSave(PROBLEMSET_CACHE_KEY, entry);
+    return problemset;
+  } catch(e) {
+    if (!cached) throw e;
+    console.warn("[TagStats] Using expired problemset cache", e);
+    return cached.problemset;
   }
+}
 
+// Only the fields buildProblemMeta / probKey read, with a fixed shape so storage can pack them.
+function slimProblem(p) {
   return {
-    schemaVersion: SNAPSHOT_SCHEMA_VERSION,
-    generatedAt: new Date().toISOString(),
-    handle,
-    source: {
-      userStatusCount: submissions.length,
-      problemsetCount: problemset.problems.length
-    },
-    problems,
-    tags: tagsObj,
-    intermediate: { cacheTTLHours: CACHE_TTL_HOURS }
+    contestId: p.contestId ?? null,
+    problemsetName: p.problemsetName ?? null,
+    index: p.index,
+    name: p.name,
+    rating: p.rating ?? null,
+    tags: p.tags || []
   };
 }
 
-/* -------------- AGGREGATION --------------- */
-function aggregate(submissions, problemset) {
-  const probIndex = new Map();
-  const perProblemMeta = new Map();
-  for (const p of problemset.problems) {
-    const key = probKey(p);
-    perProblemMeta.set(key, {
-      tags: p.tags || [],
-      rating: p.rating || null,
-      name: p.name || (`${p.contestId || p.problemsetName || "PS"}-${p.index}`)
-    });
-    probIndex.set(key, true);
+/* -------------- CONTEST LIST ------------- */
+// Only the names are kept (contest division for unrated estimates); cached like the problemset.
+// Only the cache is awaited: a missing or expired list is refetched in the background, once and
+// without retries, and `onFirstLoad` runs if that brings names the page had none of (re-render
+// with estimates). A failed fetch just leaves unrated problems without an estimate.
+async function loadContestNames(onFirstLoad) {
+  if (settings.estimateUnrated !== "contest") { contestNames = null; return; }
+  let cached = null;
+  try { cached = await storageLoad(CONTESTS_CACHE_KEY); } catch {}
+  if (cached?.version !== CONTESTS_CACHE_VERSION) cached = null;
+  contestNames = cached?.names ?? null;
+  if (cached && !isProblemsetExpired(cached)) return;
+  fetchContestNames().then(names => {
+    if (names && !cached && onFirstLoad) onFirstLoad();
+  });
+}
+async function fetchContestNames() {
+  try {
+    const data = await fetchJSON(`${API_BASE}contest.list?gym=false`, { retries: 0 });
+    const names = Object.fromEntries(data.result.map(c => [c.id, c.name]));
+    await storageSave(CONTESTS_CACHE_KEY, { version: CONTESTS_CACHE_VERSION, fetchedAt: new Date().toISOString(), names });
+    contestNames = names;
+    return names;
+  } catch(e) {
+    console.warn("[TagStats] contest.list failed; unrated problems stay unestimated", e);
+    return null;
   }
+}
 
-  const solvedProblems = new Set();
-  const perProblemOrigin  = new Map();
-  const perProblemStatus  = new Map();
-  const contestFailVerdicts = new Set([
-    "WRONG_ANSWER","TIME_LIMIT_EXCEEDED","RUNTIME_ERROR","MEMORY_LIMIT_EXCEEDED",
-    "IDLENESS_LIMIT_EXCEEDED","REJECTED","FAILED","PRESENTATION_ERROR","CHALLENGED",
-    "PARTIAL","COMPILATION_ERROR","CRASHED","SKIPPED"
-  ]);
+function estimatedRating(key, p) {
+  return !p?.rating && contestNames ? estimateProblemRating(key, contestNames) : null;
+}
+// Rating for sorting and nearness: the real one, else the estimate, else null.
+function effectiveRating(key, p) {
+  return p?.rating || estimatedRating(key, p);
+}
+function ratingCellHTML(key, p) {
+  if (p?.rating) return String(p.rating);
+  const est = estimatedRating(key, p);
+  return est ? `<span class="cf-est" title="Unrated – estimated from the contest division and problem letter">~${est}</span>` : "-";
+}
+// "~1200–1900" over the estimates of `keys`, or "" when none can be estimated.
+function estimateRangeText(keys, snapshot) {
+  const ests = [...keys].map(k => estimatedRating(k, snapshot.problems[k])).filter(Boolean);
+  if (!ests.length) return "";
+  const lo = Math.min(...ests), hi = Math.max(...ests);
+  return lo === hi ? `~${lo}` : `~${lo}–${hi}`;
+}
 
-  for (const sub of submissions) {
-    const pr = sub.problem;
-    if (!pr) continue;
-    const key = probKey(pr);
-    if (!probIndex.has(key)) continue;
-
-    let origin = perProblemOrigin.get(key);
-    if (!origin) { origin = { contest:false, practice:false }; perProblemOrigin.set(key, origin); }
-    let status = perProblemStatus.get(key);
-    if (!status) { status = { solved:false, failedContest:false, failedPractice:false }; perProblemStatus.set(key, status); }
-
-    const isContest = !!sub.contestId;
-    const verdict = sub.verdict;
-    if (verdict === "OK") {
-      status.solved = true;
-      if (isContest) origin.contest = true; else origin.practice = true;
-      solvedProblems.add(key);
-    } else {
-      if (!status.solved && contestFailVerdicts.has(verdict)) {
-        if (isContest) status.failedContest = true;
-        else status.failedPractice = true;
-      }
-    }
+/* -------------- SNAPSHOT HISTORY ---------- */
+// One compact per-tag summary per fresh snapshot: tag -> [solved, solvePercent, maxSolved, nextTargetDifficulty].
+// Snapshots taken on the same day replace each other, so the list stays small over months.
+function historyKey(handle) {
+  return "history:" + handle;
+}
+async function loadHistory(handle) {
+  try {
+    const arr = await storageLoad(historyKey(handle));
+    return Array.isArray(arr) ? arr : [];
+  } catch { return []; }
+}
+async function appendHistory(handle, snap) {
+  const tags = {};
+  for (const [tag, t] of Object.entries(snap.tags)) {
+    tags[tag] = [t.solved, Math.round(t.solvePercent * 10000) / 10000, t.maxSolved, t.nextTargetDifficulty];
   }
+  const entry = { at: snap.generatedAt, tags };
+  const history = await loadHistory(handle);
+  const last = history[history.length - 1];
+  if (last && new Date(last.at).toDateString() === new Date(entry.at).toDateString()) history.pop();
+  history.push(entry);
+  while (history.length > HISTORY_MAX_ENTRIES) history.shift();
+  await storageSave(historyKey(handle), history);
+}
 
-  const tagStats = new Map();
-  const tagRatingsAll = new Map();
-  const perTagProblemList = new Map();
-
-  function ensure(tag) {
-    let s = tagStats.get(tag);
-    if (!s) {
-      s = {
-        tag,
-        solved: 0,
-        solvedContest: 0,
-        solvedPractice: 0,
-        totalAvailable: 0,
-        maxSolved: null,
-        solvePercent: 0,
-        nextTargetDifficulty: null,
-        solvedDiffs: new Set(),
-        recommendScore: 0,
-        minFailedDifficulty: null,
-        maxFailedDifficulty: null,
-        failSpan: null
-      };
-      tagStats.set(tag, s);
-    }
-    return s;
-  }
-
-  for (const [key, meta] of perProblemMeta.entries()) {
-    const { tags, rating } = meta;
-    const status = perProblemStatus.get(key);
-    const origin = perProblemOrigin.get(key);
-    const isSolved = status?.solved;
-
-    for (const t of tags) {
-      const stat = ensure(t);
-      stat.totalAvailable++;
-      if (!perTagProblemList.has(t)) perTagProblemList.set(t, new Set());
-      perTagProblemList.get(t).add(key);
-      if (rating) {
-        let set = tagRatingsAll.get(t);
-        if (!set) { set = new Set(); tagRatingsAll.set(t, set); }
-        set.add(rating);
-      }
-      if (isSolved) {
-        stat.solved++;
-        if (origin?.contest) stat.solvedContest++; else if (origin?.practice) stat.solvedPractice++;
-        if (rating) {
-          stat.solvedDiffs.add(rating);
-          if (stat.maxSolved == null || rating > stat.maxSolved) stat.maxSolved = rating;
-        }
-      }
-    }
-  }
+/* -------------- FETCH + BUILD ------------- */
+async function fetchAndBuildSnapshot(handle, { forceProblemset = false } = {}) {
+  const [subsData, problemset, user] = await Promise.all([
+    fetchJSON(`${API_BASE}user.status?handle=${encodeURIComponent(handle)}`),
+    getProblemset({ force: forceProblemset }),
+    fetchUserInfo(handle)
+  ]);
+  return buildSnapshotFromData({ handle, user, submissions: subsData.result, problemset });
+}
 
-  for (const stat of tagStats.values()) {
-    stat.solvePercent = stat.totalAvailable ? stat.solved / stat.totalAvailable : 0;
-    if (stat.maxSolved != null) {
-      const allR = tagRatingsAll.get(stat.tag);
-      if (allR) {
-        const ordered = [...allR].sort((a,b)=>a-b);
-        for (const r of ordered) {
-          if (r > stat.maxSolved) { stat.nextTargetDifficulty = r; break; }
-        }
-      }
-    }
+// Rating info is optional: a failure here must not sink the whole refresh.
+async function fetchUserInfo(handle) {
+  try {
+    const data = await fetchJSON(`${API_BASE}user.info?handles=${encodeURIComponent(handle)}`);
+    return slimUser(data.result?.[0]);
+  } catch(e) {
+    console.warn("[TagStats] user.info failed", e);
+    return null;
   }
+}
 
-  const tagArray = [...tagStats.values()].sort((a,b)=> b.solved - a.solved);
+// Pulls only submissions newer than `sinceId` and folds them into the cached snapshot.
+// Returns null when the incremental path cannot be used (caller falls back to a full fetch).
+async function refreshSnapshotIncremental(handle, cached) {
+  try {
+    const fresh = await fetchSubmissionsSince(handle, cached.lastSubmissionId);
+    const known = new Set(cached.submissions.map(s => s.id));
+    const newSubs = fresh.filter(s => !known.has(s.id));
 
-  return {
-    tagArray,
-    perTagProblemList,
-    perProblemMeta,
-    solvedProblems,
-    perProblemOrigin,
-    tagRatingsAll,
-    perProblemStatus
-  };
-}
+    const user = (await fetchUserInfo(handle)) || cached.user;
 
-function computeFailedDifficultyBand(agg) {
-  const { tagArray, perTagProblemList, perProblemMeta, perProblemStatus } = agg;
-  for (const stat of tagArray) {
-    const set = perTagProblemList.get(stat.tag);
-    if (!set) continue;
-    let minFail = null, maxFail = null;
-    for (const key of set) {
-      const meta = perProblemMeta.get(key);
-      const status = perProblemStatus.get(key);
-      if (!meta || !status) continue;
-      if (!status.solved && status.failedContest && meta.rating) {
-        if (minFail == null || meta.rating < minFail) minFail = meta.rating;
-        if (maxFail == null || meta.rating > maxFail) maxFail = meta.rating;
-      }
-    }
-    stat.minFailedDifficulty = minFail;
-    stat.maxFailedDifficulty = maxFail;
-    stat.failSpan = (minFail != null && maxFail != null) ? (maxFail - minFail) : null;
-  }
-}
-
-function buildAllTagDifficultyBuckets(agg) {
-  const map = new Map();
-  const {
-    tagArray,
-    perTagProblemList,
-    perProblemMeta,
-    perProblemOrigin,
-    perProblemStatus
-  } = agg;
-
-  for (const stat of tagArray) {
-    const tag = stat.tag;
-    const set = perTagProblemList.get(tag);
-    if (!set) continue;
-    const diffMap = new Map();
-    for (const key of set) {
-      const meta = perProblemMeta.get(key);
-      if (!meta) continue;
-      const rating = meta.rating || 0;
-      let b = diffMap.get(rating);
-      if (!b) {
-        b = { solvedContest:0, solvedPractice:0, failedContest:0, unsolved:0, total:0 };
-        diffMap.set(rating, b);
-      }
-      b.total++;
-      const status = perProblemStatus.get(key);
-      const origin = perProblemOrigin.get(key);
-      if (status?.solved) {
-        if (origin?.contest) b.solvedContest++; else b.solvedPractice++;
-      } else {
-        if (status?.failedContest) b.failedContest++; else b.unsolved++;
-      }
+    // New problems since the problemset was cached need fresh metadata.
+    let problemset = await getProblemset();
+    const knownProblems = new Set(problemset.problems.map(probKey));
+    if (newSubs.some(s => s.problem && !knownProblems.has(probKey(s.problem)))) {
+      problemset = await getProblemset({ force: true });
     }
-    map.set(tag, diffMap);
+
+    console.log(`[TagStats] Merging ${newSubs.length} new submissions`, handle);
+    const agg = aggregateIncremental(cached, newSubs, problemset);
+    return buildSnapshotFromAgg({
+      handle,
+      user,
+      submissions: [...cached.submissions, ...newSubs],
+      problemset,
+      agg
+    });
+  } catch(e) {
+    if (e instanceof CfApiError) throw e;
+    console.error("[TagStats] refreshSnapshotIncremental error", e);
+    return null;
   }
-  return map;
 }
 
-function probKey(p) {
-  if (!p) return "PS-?";
-  if (!p.contestId && !p.problemsetName) return `PS-${p.index}`;
-  return `${p.contestId || p.problemsetName}-${p.index}`;
+// user.status is newest-first; page through it until we reach `sinceId`.
+async function fetchSubmissionsSince(handle, sinceId) {
+  const out = [];
+  for (let from = 1; ; from += INCREMENTAL_PAGE_SIZE) {
+    const data = await fetchJSON(
+      `${API_BASE}user.status?handle=${encodeURIComponent(handle)}&from=${from}&count=${INCREMENTAL_PAGE_SIZE}`
+    );
+    const page = data.result;
+    for (const s of page) if (s.id > sinceId) out.push(s);
+    if (page.length < INCREMENTAL_PAGE_SIZE || page.some(s => s.id <= sinceId)) return out;
+  }
 }
 
-/* -------------- RECOMMENDATION ------------- */
-function computeRecommendationScores(tags, tagRatingsAll) {
-  if (!tags.length) return;
-  const maxSolved = Math.max(...tags.map(t => t.solved), 1);
-  const maxMaxDiff = Math.max(...tags.map(t => t.maxSolved || 0), 1);
-  for (const t of tags) {
-    const coverageGap = 1 - t.solvePercent;
-    const diffDelta = t.nextTargetDifficulty != null
-      ? (t.nextTargetDifficulty - (t.maxSolved || 0))
-      : 500;
-    const normNext = 1 / (1 + diffDelta / 300);
-    const normSolved = t.solved / maxSolved;
-    const normMax    = (t.maxSolved || 0) / maxMaxDiff;
-    t.recommendScore =
-      RECOMMEND_WEIGHT_COVERAGE_GAP * coverageGap +
-      RECOMMEND_WEIGHT_NEXT_DIFF    * normNext +
-      RECOMMEND_WEIGHT_SOLVED       * (0.5 * normSolved + 0.5 * normMax);
-  }
+/* -------------- DATE RANGE ---------------- */
+function rangeFromPreset(preset) {
+  const now = Date.now() / 1000;
+  if (preset === "ytd") return { from: new Date(new Date().getFullYear(), 0, 1).getTime() / 1000, to: null };
+  const days = Number(preset);
+  return days ? { from: now - days * 86400, to: null } : null;
+}
+function toDateInput(sec) {
+  const d = new Date(sec * 1000);
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+function rangeLabelText(range, snapshot) {
+  if (!range) return "All submissions";
+  const lang = range.language ? `${range.language} only, ` : "";
+  if (range.from == null && range.to == null) return `All dates (${lang}${snapshot.source.userStatusCount} submissions)`;
+  const from = range.from != null ? formatDate(range.from) : "start";
+  const to = range.to != null ? formatDate(range.to - 1) : "now";
+  return `${from} – ${to} (${lang}${snapshot.source.userStatusCount} submissions)`;
 }
 
-/* -------------- RENDER FROM SNAPSHOT -------- */
-function renderFromSnapshot(snapshot) {
-  const perProblemMeta    = new Map();
-  const perProblemOrigin  = new Map();
-  const perProblemStatus  = new Map();
-  const solvedProblems    = new Set();
-  const perTagProblemList = new Map();
-  const tagArray          = [];
+/* -------------- VERDICT / LANGUAGE MIX ---- */
+// Stacked mini bar of a verdict mix (width is the share of each group, not absolute counts).
+function verdictMixBar(mix, width = 80) {
+  if (!mix || !mix.total) return `<span style="opacity:.5;">-</span>`;
+  const title = VERDICT_GROUPS.filter(g => mix[g]).map(g => `${g} ${mix[g]}`).join(" · ");
+  const segs = VERDICT_GROUPS.filter(g => mix[g]).map(g =>
+    `<span style="display:inline-block;height:10px;width:${Math.max(1, Math.round(width * mix[g] / mix.total))}px;background:${VERDICT_GROUP_COLORS[g]};"></span>`
+  ).join("");
+  return `<span class="cf-verdict-bar" title="${title}">${segs}</span>`;
+}
+
+function verdictLegendHTML() {
+  return VERDICT_GROUPS.map(g =>
+    `<span style="display:inline-block;width:9px;height:9px;background:${VERDICT_GROUP_COLORS[g]};"></span> ${g}`
+  ).join(" ");
+}
+
+function languageMixHTML(mix) {
+  if (!mix.length) return "-";
+  return mix.map(e => {
+    const fails = VERDICT_GROUPS.filter(g => e.groups[g]).map(g => `${g} ${e.groups[g]}`).join(", ");
+    return `<span class="cf-lang-mix" title="${escapeHTML(e.lang)}: ${e.solved} solved${fails ? `; failed submissions: ${fails}` : ""}">` +
+      `${escapeHTML(e.lang)} ${e.solved}${e.failed ? `<span class="cf-lang-fail">✗${e.failed}</span>` : ""}</span>`;
+  }).join(" ");
+}
 
+/* -------------- PROBLEM SUGGESTIONS -------- */
+// Picks unsolved problems from the highest-recommend tags. A candidate's score is the sum of the
+// recommend scores of the weak tags it covers, damped by its distance from a target rating that
+// blends those tags' next targets with the user's current rating. Picks are greedy so that tags
+// already covered by earlier picks count for less.
+function suggestProblems(agg, snapshot) {
+  const userRating = snapshot.user?.rating ?? null;
+  const weak = sortTags(agg.tagArray, "recommend").slice(0, SUGGEST_WEAK_TAGS);
+  const weakByTag = new Map(weak.map(t => [t.tag, t]));
+
+  const candidates = [];
   for (const [key, p] of Object.entries(snapshot.problems)) {
-    perProblemMeta.set(key, { rating: p.rating, name: p.name, tags: p.tags });
-    if (p.solved) solvedProblems.add(key);
-    perProblemOrigin.set(key, { contest: p.contest, practice: p.practice });
-    perProblemStatus.set(key, {
-      solved: p.solved,
-      failedContest: p.failedContest,
-      failedPractice: p.failedPractice
-    });
+    if (p.solved || !p.rating) continue;
+    const covered = p.tags.filter(t => weakByTag.has(t)).map(t => weakByTag.get(t));
+    if (!covered.length) continue;
+    const tagTargets = covered.map(t => t.nextTargetDifficulty ?? t.maxSolved ?? userRating ?? p.rating);
+    let target = tagTargets.reduce((a, b) => a + b, 0) / tagTargets.length;
+    if (userRating != null) target = (target + userRating) / 2;
+    const closeness = Math.exp(-Math.abs(p.rating - target) / SUGGEST_RATING_SPREAD);
+    candidates.push({ key, p, covered, target: Math.round(target), closeness });
   }
 
-  for (const [tag, tObj] of Object.entries(snapshot.tags)) {
-    tagArray.push({
-      tag,
-      totalAvailable: tObj.totalAvailable,
-      solved: tObj.solved,
-      solvedContest: tObj.solvedContest,
-      solvedPractice: tObj.solvedPractice,
-      solvePercent: tObj.solvePercent,
-      maxSolved: tObj.maxSolved,
-      nextTargetDifficulty: tObj.nextTargetDifficulty,
-      minFailedDifficulty: tObj.minFailedDifficulty,
-      maxFailedDifficulty: tObj.maxFailedDifficulty,
-      failSpan: tObj.failSpan,
-      recommendScore: tObj.recommendScore
-    });
-  }
-  if (snapshot.tagProblemKeys) {
-    for (const [tag, arr] of Object.entries(snapshot.tagProblemKeys)) {
-      perTagProblemList.set(tag, new Set(arr));
+  const used = new Map(); // tag -> times covered by earlier picks
+  const picks = [];
+  while (picks.length < SUGGEST_COUNT && candidates.length) {
+    let best = -1, bestScore = -Infinity;
+    for (let i = 0; i < candidates.length; i++) {
+      const c = candidates[i];
+      const tagScore = c.covered.reduce((a, t) => a + t.recommendScore / (1 + (used.get(t.tag) || 0)), 0);
+      const score = tagScore * c.closeness;
+      if (score > bestScore) { bestScore = score; best = i; }
     }
+    const pick = candidates.splice(best, 1)[0];
+    pick.score = bestScore;
+    for (const t of pick.covered) used.set(t.tag, (used.get(t.tag) || 0) + 1);
+    picks.push(pick);
   }
+  return picks.map(c => ({ ...c, reason: suggestionReason(c, userRating) }));
+}
 
-  const agg = {
-    tagArray,
-    perTagProblemList,
-    perProblemMeta,
-    perProblemOrigin,
-    perProblemStatus,
-    solvedProblems,
-    tagRatingsAll: new Map()
-  };
+function suggestionReason(c, userRating) {
+  const tags = c.covered
+    .map(t => `${t.tag} (score ${t.recommendScore.toFixed(2)}, next ${t.nextTargetDifficulty ?? "-"})`)
+    .join(", ");
+  const parts = [`Weak tag${c.covered.length > 1 ? "s" : ""}: ${tags}`];
+  parts.push(`rating ${c.p.rating} vs target ${c.target}${userRating != null ? ` (your rating ${userRating})` : ""}`);
+  if (c.p.failedContest || c.p.failedPractice) parts.push("attempted before without AC");
+  return parts.join("; ");
+}
 
+function renderSuggestions(container, agg, snapshot) {
+  const picks = suggestProblems(agg, snapshot);
+  if (!picks.length) { container.innerHTML = ""; return; }
+  const rows = picks.map(({ key, p, reason }) => {
+    const url = problemURL(key);
+    const name = escapeHTML(p.name);
+    return `
+      <tr>
+        <td class="cf-td">${url ? `<a href="${url}" target="_blank" rel="noopener">${name}</a>` : name} <span class="cf-mini">${escapeHTML(key)}</span></td>
+        <td class="cf-td num">${p.rating}</td>
+        <td class="cf-td" style="font-size:11px;">${p.tags.map(escapeHTML).join(", ")}</td>
+        <td class="cf-td" style="font-size:11px;">${escapeHTML(reason)}</td>
+      </tr>
+    `;
+  }).join("");
+  container.innerHTML = `
+    <div class="cf-drill">
+      <div class="cf-drill-head"><h4 style="margin:0;">Suggested problems</h4></div>
+      <table class="cf-drill-table">
+        <thead><tr><th>Problem</th><th>Rating</th><th>Tags</th><th>Why</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="cf-foot-note">
+        Unsolved problems from the ${SUGGEST_WEAK_TAGS} highest-Recommend tags, near each tag's Next target
+        and your current rating. Problems covering several weak tags rank higher.
+      </div>
+    </div>
+  `;
+}
+
+/* -------------- RENDER FROM SNAPSHOT -------- */
+// `opts.stale` / `opts.error` flag a cached snapshot shown because fresh data could not be fetched.
+function renderFromSnapshot(snapshot, opts = {}) {
+  const agg = aggFromSnapshot(snapshot);
   const existing = document.getElementById("cf-tag-stats-block");
   if (existing) existing.remove();
-  injectSection(agg, snapshot);
+  injectSection(agg, snapshot, opts);
 }
 
 /* -------------- MAIN SECTION --------------- */
-function injectSection(agg, snapshot) {
+function injectSection(agg, snapshot, opts = {}) {
   const anchor = document.querySelector(".info") || document.querySelector(".userbox");
   if (!anchor) return;
 
   const block = document.createElement("div");
   block.id = "cf-tag-stats-block";
   block.style.marginTop = "24px";
-  block.innerHTML = buildOverviewHTML(snapshot.generatedAt);
+  block.innerHTML = buildOverviewHTML(snapshot, opts);
   anchor.parentNode.insertBefore(block, anchor.nextSibling);
 
   bindOverview(block, agg, snapshot);
+  showStorageWarning();
   // default view: table
 }
 
+// Shows the latest storage.js warning (quota, eviction) in the overview until dismissed.
+function showStorageWarning() {
+  const el = document.getElementById("cf-storage-warning");
+  if (!el || !lastStorageWarning) return;
+  el.innerHTML = `Storage: ${escapeHTML(lastStorageWarning.message)}
+    <button class="cf-tag-refresh-btn" style="margin-left:6px;">Dismiss</button>`;
+  el.style.display = "";
+  el.querySelector("button").addEventListener("click", () => {
+    lastStorageWarning = null;
+    el.style.display = "none";
+  });
+}
+
 /* -------------- OVERVIEW HTML -------------- */
-function buildOverviewHTML(generatedAt) {
-  const timeString = new Date(generatedAt).toLocaleString();
+function buildOverviewHTML(snapshot, opts = {}) {
+  const timeString = new Date(snapshot.generatedAt).toLocaleString();
+  const sourceLabel = snapshot.offline
+    ? `<span class="cf-offline-badge">offline data</span> ${escapeHTML(snapshot.offline.files.join(", "))} (dumped ${timeString})`
+    : snapshot.imported
+      ? `Imported ${escapeHTML(snapshot.imported.fileName)} (generated ${timeString})`
+      : `Cached: ${timeString}`;
   return `
     <div style="display:flex; flex-wrap:wrap; gap:8px; align-items:center; margin-bottom:6px;">
       <h3 style="margin:0; font-size:16px;">Tag Stats</h3>
       <div class="cf-tag-sort-group cf-table-controls">
-        ${["solved","coverage","max","next","recommend","failmax","failspan"].map(m =>
+        ${["solved","coverage","relevant","max","skill","next","recommend","failmax","failspan","firsttry","attempts","hardwon"].map(m =>
           `<button class="cf-tag-sort-btn" data-sort="${m}">${labelForMode(m)}</button>`
         ).join("")}
       </div>
       <div style="font-size:12px; opacity:.7;">(<span id="cf-tag-current-mode">solved</span>)</div>
-      <button id="cf-tag-refresh" class="cf-tag-refresh-btn" title="Force refetch">Refresh</button>
-      <div style="font-size:11px; opacity:.55; margin-left:4px;">Cached: ${timeString}</div>
+      <button id="cf-tag-refresh" class="cf-tag-refresh-btn" title="Fetch new submissions (Shift+click: full refetch)">Refresh</button>
+      <div style="font-size:11px; opacity:.55; margin-left:4px;">${sourceLabel}</div>
+      ${opts.stale ? `<span class="cf-stale-badge" title="Cache is older than ${settings.cacheTtlHours}h">stale</span>` : ""}
+      <div class="cf-io-group">
+        <span>Export:</span>
+        <button class="cf-tag-refresh-btn" data-export="json" title="Full snapshot">JSON</button>
+        <button class="cf-tag-refresh-btn" data-export="csv" title="Tag table">CSV</button>
+        <button class="cf-tag-refresh-btn" data-export="md" title="Summary for coaches">Markdown</button>
+        ${IMPORT_CONTROL_HTML}
+      </div>
 
       <div style="margin-left:auto; display:flex; gap:4px;">
-        <button id="cf-view-table" class="cf-view-toggle cf-active-view">Table</button>
-        <button id="cf-view-bubbles" class="cf-view-toggle">Bubbles</button>
+        <button id="cf-view-table" class="cf-view-toggle cf-active-view" data-view="table">Table</button>
+        <button id="cf-view-bubbles" class="cf-view-toggle" data-view="bubbles">Bubbles</button>
+        <button id="cf-view-progress" class="cf-view-toggle" data-view="progress">Progress</button>
+        <button id="cf-view-timeline" class="cf-view-toggle" data-view="timeline">Timeline</button>
       </div>
     </div>
 
+    ${opts.error ? `<div class="cf-api-error">Could not refresh: ${escapeHTML(opts.error)} Showing cached data.</div>` : ""}
+    <div id="cf-import-error" class="cf-api-error" style="display:none;"></div>
+    <div id="cf-storage-warning" class="cf-storage-warning" style="display:none;"></div>
+
+    <div class="cf-compare-bar">
+      <input id="cf-compare-input" class="cf-compare-input" type="text" placeholder="Compare with… (handles, comma-separated)">
+      <button id="cf-compare-go" class="cf-tag-refresh-btn">Compare</button>
+      <button id="cf-compare-clear" class="cf-tag-refresh-btn" style="display:none;">Clear</button>
+      <span id="cf-compare-status" style="font-size:11px; opacity:.7;"></span>
+    </div>
+
+    <div class="cf-query-bar">
+      <span>Query:</span>
+      <input id="cf-query-input" class="cf-query-input" type="text" placeholder='e.g. dp AND NOT greedy, (graphs OR trees) AND "binary search"'>
+      <button id="cf-query-run" class="cf-tag-refresh-btn">Apply</button>
+      <button id="cf-query-clear" class="cf-tag-refresh-btn">Clear</button>
+      <label title="Clicking a bubble appends its tag to the query"><input id="cf-query-build" type="checkbox"> Bubble clicks add</label>
+      <select id="cf-query-op">
+        <option value="AND">AND</option>
+        <option value="OR">OR</option>
+        <option value="AND NOT">AND NOT</option>
+      </select>
+      <span id="cf-query-status" style="opacity:.7;"></span>
+    </div>
+
+    <div class="cf-range-bar">
+      <span>Range:</span>
+      ${[["all","All"],["30","30d"],["90","90d"],["365","1y"],["ytd","This year"]].map(([v,l]) =>
+        `<button class="cf-range-preset cf-tag-refresh-btn" data-range="${v}">${l}</button>`
+      ).join("")}
+      <input id="cf-range-from" type="date"> – <input id="cf-range-to" type="date">
+      <button id="cf-range-apply" class="cf-tag-refresh-btn">Apply</button>
+      <label for="cf-lang-filter" style="margin-left:8px;">Language:</label>
+      <select id="cf-lang-filter">
+        <option value="">All</option>
+        ${submissionLanguages(snapshot.submissions).map(l => `<option value="${escapeHTML(l)}">${escapeHTML(l)}</option>`).join("")}
+      </select>
+      <span id="cf-range-label" style="opacity:.7;">All submissions</span>
+    </div>
+
     <div id="cf-table-view">
       <div style="overflow-x:auto;">
         <table class="cf-tag-stats-table" style="border-collapse:collapse; width:100%; min-width:1000px;">
-          <thead>${headerRow()}</thead>
+          <thead id="cf-tag-thead">${headerRow([])}</thead>
           <tbody id="cf-tag-tbody"></tbody>
         </table>
       </div>
       <div id="cf-tag-drill-container" style="margin-top:18px;"></div>
+      <div id="cf-suggest-container" style="margin-top:18px;"></div>
     </div>
 
     <div id="cf-bubble-view" style="display:none;">
-      <div id="cf-bubble-wrapper" style="position:relative; width:${BUBBLE_WIDTH}px; height:${BUBBLE_HEIGHT}px; border:1px solid #ccc; background:#fff; border-radius:6px; overflow:hidden;"></div>
-      <div id="cf-bubble-legend" style="font-size:11px; opacity:.7; margin-top:6px;">
-        Bubble size ∝ log(total problems). Color = coverage. Click to select; multiple = intersection.
+      <div id="cf-bubble-wrapper" style="position:relative; width:${settings.bubbleWidth}px; height:${settings.bubbleHeight}px; border:1px solid #ccc; background:#fff; border-radius:6px; overflow:hidden;"></div>
+      <div style="display:flex; gap:6px; align-items:center; margin-top:6px; font-size:11px;">
+        <select id="cf-bubble-color" title="What the square colour shows">
+          <option value="coverage">Coverage</option>
+          <option value="relevant">Relevant coverage (±${settings.relevantWindow})</option>
+        </select>
+        <span id="cf-bubble-legend" style="opacity:.7;">${bubbleLegendText("coverage")}</span>
+      </div>
+      <div style="margin-top:16px; font-size:12px; display:flex; gap:6px; align-items:center;">
+        <label for="cf-graph-verdict">Show problems with verdict:</label>
+        <select id="cf-graph-verdict">
+          <option value="">Any</option>
+          ${VERDICT_GROUPS.map(g => `<option value="${g}">${g} – ${VERDICT_GROUP_LABELS[g]}</option>`).join("")}
+        </select>
+      </div>
+      <div id="cf-graph-container" style="margin-top:6px;"></div>
+    </div>
+
+    <div id="cf-progress-view" style="display:none;">
+      <div style="display:flex; gap:6px; align-items:center; margin-bottom:6px; font-size:12px;">
+        <label for="cf-progress-tag">Tag:</label>
+        <select id="cf-progress-tag"></select>
+        <span id="cf-progress-summary" style="opacity:.7;"></span>
+      </div>
+      <div id="cf-progress-chart"></div>
+    </div>
+
+    <div id="cf-timeline-view" style="display:none;">
+      <div id="cf-timeline-chart"></div>
+      <div class="cf-foot-note">
+        Solves per week by first-AC time. Each problem is counted once, under its highest-ranked tag.
+        With tags selected, only problems carrying one of them are shown.
       </div>
-      <div id="cf-graph-container" style="margin-top:16px;"></div>
     </div>
 
     <div style="font-size:11px; margin-top:8px; line-height:1.35; opacity:.7;">
-      FailBand = min–max unresolved contest fail difficulties. Bubble graph: up next for visual targeting.
+      FailBand = min–max unresolved fail difficulties (live contest submissions only). Bubble graph: up next for visual targeting.
+      Skill = rating fitted to the tag's solves, rejections and failures (Elo-style, prior on your rating) with its 95% interval;
+      Next = the lowest rating above the interval's low end with unsolved problems, kept within ${SKILL_NEXT_STEP} of Max and at most the FailBand's low end when possible.
+      Compare columns show the other handle's value and its difference from this handle.
     </div>
   `;
 }
 
 /* -------------- BIND LOGIC ---------------- */
 function bindOverview(block, agg, snapshot) {
+  // `agg`/`snapshot` are the current (possibly date-filtered) view; the full history stays here.
+  const fullAgg = agg;
+  const fullSnapshot = snapshot;
   // Table components
+  const thead = block.querySelector("#cf-tag-thead");
   const tbody = block.querySelector("#cf-tag-tbody");
   const modeLabel = block.querySelector("#cf-tag-current-mode");
   const drillContainer = block.querySelector("#cf-tag-drill-container");
+  const suggestContainer = block.querySelector("#cf-suggest-container");
   const refreshBtn = block.querySelector("#cf-tag-refresh");
 
   // Views
   const tableView = block.querySelector("#cf-table-view");
   const bubbleView = block.querySelector("#cf-bubble-view");
   const bubbleWrapper = block.querySelector("#cf-bubble-wrapper");
+  const bubbleColor = block.querySelector("#cf-bubble-color");
+  const bubbleLegend = block.querySelector("#cf-bubble-legend");
   const graphContainer = block.querySelector("#cf-graph-container");
+  const graphVerdict = block.querySelector("#cf-graph-verdict");
+  const progressView = block.querySelector("#cf-progress-view");
+  const progressSelect = block.querySelector("#cf-progress-tag");
+  const progressChart = block.querySelector("#cf-progress-chart");
+  const progressSummary = block.querySelector("#cf-progress-summary");
+  const timelineView = block.querySelector("#cf-timeline-view");
+  const timelineChart = block.querySelector("#cf-timeline-chart");
 
   const handle = snapshot.handle;
   let currentSort = "solved";
-  let currentRows = agg.tagArray.slice(0, MAX_ROWS);
+  let currentRows = agg.tagArray.slice(0, settings.maxRows);
   const selectedTags = new Set();
+  let compares = []; // [{ handle, full, snapshot }]
+  let range = null;   // { from, to, language } (unix seconds / language family), null = all history
+  let currentView = "table";
+  let query = null;   // { text, keys } from the query box; overrides the tag selection
 
   /* Table rendering */
   function renderTable() {
     const sorted = sortTags(currentRows, currentSort);
+    thead.innerHTML = headerRow(compares);
     tbody.innerHTML = sorted.map(stat => {
       const selClass = selectedTags.has(stat.tag) ? "cf-selected-row" : "";
-      return rowHTML(stat, selClass);
+      return rowHTML(stat, selClass, compares);
     }).join("");
     modeLabel.textContent = currentSort;
     block.querySelectorAll(".cf-tag-sort-btn").forEach(b =>
@@ -593,6 +788,7 @@ function bindOverview(block, agg, snapshot) {
       tr.addEventListener("click", () => {
         const tag = tr.getAttribute("data-tag");
         if (selectedTags.has(tag)) selectedTags.delete(tag); else selectedTags.add(tag);
+        clearQuery();
         renderTable();
         renderDrill();
         // reflect in bubble view if open
@@ -602,20 +798,37 @@ function bindOverview(block, agg, snapshot) {
   }
 
   function renderDrill() {
+    if (query) {
+      drillContainer.innerHTML = renderDiffTable({
+        title: `Query: ${escapeHTML(query.text)} (Problems: ${query.keys.size})`,
+        diffMap: bucketsForKeys(query.keys, agg),
+        keys: query.keys,
+        snapshot
+      });
+      bindDiffDrill(drillContainer, query.keys, snapshot);
+      renderCompareDiff(drillContainer, query.keys, snapshot, compares);
+      return;
+    }
     const size = selectedTags.size;
     if (size === 0) { drillContainer.innerHTML = ""; return; }
+    const tags = [...selectedTags];
     if (size === 1) {
-      const tag = [...selectedTags][0];
+      const tag = tags[0];
       const tagObj = snapshot.tags[tag];
       if (!tagObj) { drillContainer.innerHTML = ""; return; }
       const diffMap = rebuildDiffMapFromSnapshot(tagObj.difficultyBuckets);
       drillContainer.innerHTML = renderDiffTable({
         title: `Tag: ${escapeHTML(tag)}`,
-        diffMap
+        diffMap,
+        keys: intersectTagProblems(tags, agg),
+        snapshot
       });
     } else {
-      openDiffDrillIntersection([...selectedTags], agg, drillContainer, snapshot);
+      openDiffDrillIntersection(tags, agg, drillContainer, snapshot);
     }
+    const keys = intersectTagProblems(tags, agg);
+    bindDiffDrill(drillContainer, keys, snapshot);
+    renderCompareDiff(drillContainer, keys, snapshot, compares);
   }
 
   /* Sorting buttons */
@@ -628,40 +841,216 @@ function bindOverview(block, agg, snapshot) {
   });
 
   /* Refresh */
-  refreshBtn.addEventListener("click", async () => {
+  refreshBtn.addEventListener("click", async (e) => {
     refreshBtn.disabled = true;
     refreshBtn.textContent = "Refreshing...";
-    await boot(handle, true);
+    await boot(handle, true, e.shiftKey);
   });
 
+  /* Compare */
+  const compareInput = block.querySelector("#cf-compare-input");
+  const compareGo = block.querySelector("#cf-compare-go");
+  const compareClear = block.querySelector("#cf-compare-clear");
+  const compareStatus = block.querySelector("#cf-compare-status");
+  async function runCompare() {
+    const handles = [...new Set(compareInput.value.split(/[\s,;]+/).filter(Boolean))]
+      .filter(h => h.toLowerCase() !== handle.toLowerCase());
+    if (!handles.length) return;
+    compareGo.disabled = true;
+    const loaded = [], failed = [];
+    for (const h of handles) {
+      compareStatus.textContent = `Loading ${h}...`;
+      try {
+        const snap = await getSnapshot(h);
+        loaded.push({ handle: snap.handle, full: snap, snapshot: range ? deriveSnapshot(snap, range) : snap });
+      } catch(e) {
+        failed.push(`${h} (${describeApiError(e)})`);
+      }
+    }
+    compareGo.disabled = false;
+    compares = loaded;
+    compareClear.style.display = compares.length ? "" : "none";
+    compareStatus.textContent = failed.length ? `Failed to load: ${failed.join("; ")}` : "";
+    renderTable();
+    renderDrill();
+  }
+  compareGo.addEventListener("click", runCompare);
+  compareInput.addEventListener("keydown", (e) => { if (e.key === "Enter") runCompare(); });
+  compareClear.addEventListener("click", () => {
+    compares = [];
+    compareInput.value = "";
+    compareClear.style.display = "none";
+    compareStatus.textContent = "";
+    renderTable();
+    renderDrill();
+  });
+
+  /* Date range */
+  const rangeFrom = block.querySelector("#cf-range-from");
+  const rangeTo = block.querySelector("#cf-range-to");
+  const rangeLabel = block.querySelector("#cf-range-label");
+  const langFilter = block.querySelector("#cf-lang-filter");
+  function applyRange(next) {
+    // The language filter is kept across date changes.
+    const language = langFilter.value || null;
+    range = next || language ? { from: null, to: null, ...next, language } : null;
+    if (range) {
+      snapshot = deriveSnapshot(fullSnapshot, range);
+      agg = aggFromSnapshot(snapshot);
+    } else {
+      snapshot = fullSnapshot;
+      agg = fullAgg;
+    }
+    compares = compares.map(c => ({ ...c, snapshot: range ? deriveSnapshot(c.full, range) : c.full }));
+    if (query) runQuery();
+    currentRows = agg.tagArray.slice(0, settings.maxRows);
+    rangeLabel.textContent = rangeLabelText(range, snapshot);
+    renderTable();
+    renderDrill();
+    renderSuggestions(suggestContainer, agg, snapshot);
+    bubbleWrapper.innerHTML = "";
+    delete bubbleWrapper.dataset.init;
+    if (currentView !== "table") showView(currentView);
+  }
+  block.querySelectorAll(".cf-range-preset").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const next = rangeFromPreset(btn.dataset.range);
+      rangeFrom.value = next ? toDateInput(next.from) : "";
+      rangeTo.value = "";
+      applyRange(next);
+    });
+  });
+  function rangeFromInputs() {
+    const from = rangeFrom.value ? new Date(rangeFrom.value + "T00:00").getTime() / 1000 : null;
+    const to = rangeTo.value ? new Date(rangeTo.value + "T00:00").getTime() / 1000 + 86400 : null;
+    return from == null && to == null ? null : { from, to };
+  }
+  block.querySelector("#cf-range-apply").addEventListener("click", () => applyRange(rangeFromInputs()));
+  langFilter.addEventListener("change", () => applyRange(rangeFromInputs()));
+  if (!fullSnapshot.submissions) {
+    block.querySelectorAll(".cf-range-bar button, .cf-range-bar input, .cf-range-bar select").forEach(el => el.disabled = true);
+    rangeLabel.textContent = "Refresh to enable date ranges";
+  }
+
+  /* Tag query */
+  const queryInput = block.querySelector("#cf-query-input");
+  const queryStatus = block.querySelector("#cf-query-status");
+  const queryBuild = block.querySelector("#cf-query-build");
+  const queryOp = block.querySelector("#cf-query-op");
+  function runQuery() {
+    const text = queryInput.value.trim();
+    if (!text) { clearQuery(); refreshSelectionViews(); return; }
+    try {
+      const ast = parseTagQuery(text, agg.perTagProblemList.keys());
+      query = { text, keys: evalTagQuery(ast, agg) };
+      queryStatus.textContent = `${query.keys.size} problems`;
+      queryStatus.style.color = "";
+    } catch (e) {
+      query = null;
+      queryStatus.textContent = e.message;
+      queryStatus.style.color = "#b00";
+    }
+    refreshSelectionViews();
+  }
+  function clearQuery() {
+    query = null;
+    queryStatus.textContent = "";
+  }
+  function refreshSelectionViews() {
+    renderDrill();
+    if (currentView === "bubbles") drawGraph();
+  }
+  function appendToQuery(tag) {
+    if (!queryBuild.checked) return false;
+    const cur = queryInput.value.trim();
+    const op = queryOp.value;
+    const term = quoteTagForQuery(tag);
+    queryInput.value = cur ? `${cur} ${op} ${term}` : (op === "AND NOT" ? `NOT ${term}` : term);
+    runQuery();
+    return true;
+  }
+  block.querySelector("#cf-query-run").addEventListener("click", runQuery);
+  queryInput.addEventListener("keydown", (e) => { if (e.key === "Enter") runQuery(); });
+  block.querySelector("#cf-query-clear").addEventListener("click", () => {
+    queryInput.value = "";
+    clearQuery();
+    refreshSelectionViews();
+  });
+
+  /* Export / import */
+  block.querySelectorAll("[data-export]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const base = `cf-tag-stats-${handle}-${toDateInput(Date.now() / 1000)}`;
+      const kind = btn.dataset.export;
+      if (kind === "json") {
+        downloadFile(`${base}.json`, "application/json", JSON.stringify(fullSnapshot));
+      } else if (kind === "csv") {
+        downloadFile(`${base}.csv`, "text/csv", tagTableCSV(sortTags(currentRows, currentSort)));
+      } else {
+        downloadFile(`${base}.md`, "text/markdown", snapshotMarkdown(agg, snapshot, range));
+      }
+    });
+  });
+  bindImportControl(block, handle);
+
   renderTable();
+  renderSuggestions(suggestContainer, agg, snapshot);
 
   /* View toggles */
-  const btnTable = block.querySelector("#cf-view-table");
-  const btnBubbles = block.querySelector("#cf-view-bubbles");
-  btnTable.addEventListener("click", () => {
-    btnTable.classList.add("cf-active-view");
-    btnBubbles.classList.remove("cf-active-view");
-    tableView.style.display = "";
-    bubbleView.style.display = "none";
-  });
-  btnBubbles.addEventListener("click", () => {
-    btnBubbles.classList.add("cf-active-view");
-    btnTable.classList.remove("cf-active-view");
-    tableView.style.display = "none";
-    bubbleView.style.display = "";
+  const views = { table: tableView, bubbles: bubbleView, progress: progressView, timeline: timelineView };
+  const viewButtons = block.querySelectorAll(".cf-view-toggle");
+  viewButtons.forEach(btn => btn.addEventListener("click", () => showView(btn.dataset.view)));
+  function showView(name) {
+    currentView = name;
+    viewButtons.forEach(b => b.classList.toggle("cf-active-view", b.dataset.view === name));
+    for (const [k, el] of Object.entries(views)) el.style.display = k === name ? "" : "none";
+    if (name === "bubbles") openBubbles();
+    if (name === "progress") openProgress();
+    if (name === "timeline") drawSolveTimeline(selectedTags, agg, snapshot, timelineChart);
+  }
+  function openBubbles() {
     if (!bubbleWrapper.dataset.init) {
       initBubbleChart(bubbleWrapper, agg, snapshot, selectedTags, graphContainer, () => {
         // after selection change in bubble view sync table
+        clearQuery();
         renderTable();
         renderDrill();
-      });
+      }, appendToQuery);
       bubbleWrapper.dataset.init = "1";
+      if (query) drawGraph();
     } else {
-      drawDifficultyGraph(selectedTags, agg, snapshot, graphContainer);
       syncBubbleSelection();
     }
+  }
+  function drawGraph() {
+    drawDifficultyGraph(selectedTags, agg, snapshot, graphContainer, query);
+  }
+  bubbleColor.addEventListener("change", () => {
+    const colorBy = bubbleWrapper.dataset.colorBy = bubbleColor.value;
+    bubbleLegend.textContent = bubbleLegendText(colorBy);
+    const stats = new Map(agg.tagArray.map(t => [t.tag, t]));
+    bubbleWrapper.querySelectorAll(".cf-bubble-square").forEach(rect => {
+      const stat = stats.get(rect.getAttribute("data-tag"));
+      if (stat) rect.setAttribute("fill", bubbleFill(stat, colorBy));
+    });
   });
+  graphVerdict.addEventListener("change", () => {
+    graphContainer.dataset.verdict = graphVerdict.value;
+    drawGraph();
+  });
+
+  /* Progress view */
+  async function openProgress() {
+    const history = await loadHistory(handle);
+    const tags = sortTags(agg.tagArray, "solved").map(t => t.tag);
+    const current = progressSelect.value || [...selectedTags][0] || tags[0] || "";
+    progressSelect.innerHTML = tags.map(t =>
+      `<option value="${escapeHTML(t)}" ${t === current ? "selected" : ""}>${escapeHTML(t)}</option>`
+    ).join("");
+    progressSummary.textContent = progressSummaryText(history, current);
+    drawProgressChart(history, current, progressChart);
+  }
+  progressSelect.addEventListener("change", openProgress);
 
   /* Bubble helpers sync */
   function syncBubbleSelection() {
@@ -671,7 +1060,7 @@ function bindOverview(block, agg, snapshot) {
       if (selectedTags.has(t)) n.classList.add("cf-bubble-selected");
       else n.classList.remove("cf-bubble-selected");
     });
-    drawDifficultyGraph(selectedTags, agg, snapshot, graphContainer);
+    drawGraph();
   }
 }
 
@@ -693,21 +1082,21 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
     return {
       tag: t.tag,
       r,
-      x: Math.random()* (BUBBLE_WIDTH - 2*r) + r,
-      y: Math.random()* (BUBBLE_HEIGHT - 2*r) + r,
+      x: Math.random()* (settings.bubbleWidth - 2*r) + r,
+      y: Math.random()* (settings.bubbleHeight - 2*r) + r,
       coverage: t.solvePercent
     };
   });
 
   // Simple collision relaxation
-  for (let iter=0; iter < BUBBLE_ITERATIONS; iter++) {
+  for (let iter=0; iter < settings.bubbleIterations; iter++) {
     for (let i=0;i<nodes.length;i++) {
       for (let j=i+1;j<nodes.length;j++) {
         const a = nodes[i], b = nodes[j];
         let dx = b.x - a.x;
         let dy = b.y - a.y;
         let dist = Math.sqrt(dx*dx + dy*dy) || 0.001;
-        const minDist = a.r + b.r + BUBBLE_PADDING;
+        const minDist = a.r + b.r + settings.bubblePadding;
         if (dist < minDist) {
           const overlap = (minDist - dist)/2;
             dx /= dist; dy /= dist;
@@ -716,9 +1105,9 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
           // clamp to bounds
           [a,b].forEach(n=>{
             if (n.x < n.r) n.x = n.r;
-            if (n.x > BUBBLE_WIDTH - n.r) n.x = BUBBLE_WIDTH - n.r;
+            if (n.x > settings.bubbleWidth - n.r) n.x = settings.bubbleWidth - n.r;
             if (n.y < n.r) n.y = n.r;
-            if (n.y > BUBBLE_HEIGHT - n.r) n.y = BUBBLE_HEIGHT - n.r;
+            if (n.y > settings.bubbleHeight - n.r) n.y = settings.bubbleHeight - n.r;
           });
         }
       }
@@ -728,8 +1117,8 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
   // Render (SVG)
   const svgNS = "http://www.w3.org/2000/svg";
   const svg = document.createElementNS(svgNS, "svg");
-  svg.setAttribute("width", BUBBLE_WIDTH);
-  svg.setAttribute("height", BUBBLE_HEIGHT);
+  svg.setAttribute("width", settings.bubbleWidth);
+  svg.setAttribute("height", settings.bubbleHeight);
   svg.style.display = "block";
   svg.style.fontFamily = "sans-serif";
   svg.style.fontSize = "11px";
@@ -773,7 +1162,7 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
     const tagStat = snapshot.tags[node.tag];
     const covPct = (tagStat.solvePercent*100).toFixed(1);
     title.textContent =
-      `${node.tag}\nSolved ${tagStat.solved}/${tagStat.totalAvailable} (${covPct}%)\nMaxSolved: ${tagStat.maxSolved ?? "-"}\nFailBand: ${failBandCell(tagStat)}`;
+      `${node.tag}\nSolved ${tagStat.solved}/${tagStat.totalAvailable} (${covPct}%)\nMaxSolved: ${tagStat.maxSolved ?? "-"}\nSkill: ${skillText(tagStat)}\nFailBand: ${failBandCell(tagStat)}`;
     circle.appendChild(title);
   });
 
@@ -783,7 +1172,20 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
   drawDifficultyGraph(selectedTags, agg, snapshot, graphContainer);}
 
 /* -------------- BUBBLE CHART → SQUARE GRID --------------- */
-function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer, onSelectionChange) {
+// Fill for a tag square; `colorBy` ("coverage" | "relevant") comes from `container.dataset.colorBy`.
+// Tags with nothing rated inside the relevant window are grey.
+function bubbleFill(stat, colorBy) {
+  const value = colorBy === "relevant" ? stat.relevantCoverage : stat.solvePercent;
+  return value == null ? "#bbb" : coverageColor(value);
+}
+function bubbleLegendText(colorBy) {
+  const color = colorBy === "relevant"
+    ? `relevant coverage (problems within ±${settings.relevantWindow} of ${settings.relevantCenter === "maxSolved" ? "the tag's max solved" : "your rating"}; grey = none)`
+    : "coverage";
+  return `Bubble size ∝ log(total problems). Color = ${color}. Click to select; multiple = intersection.`;
+}
+// `onTagClick(tag)` may return true to consume a click instead of toggling the selection.
+function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer, onSelectionChange, onTagClick) {
   const tags = agg.tagArray;
   if (!tags.length) return;
 
@@ -799,16 +1201,16 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
 
   // decide grid dimensions
   const N = tags.length;
-  const cols = Math.floor(Math.sqrt(N * (BUBBLE_WIDTH / BUBBLE_HEIGHT))) || 1;
+  const cols = Math.floor(Math.sqrt(N * (settings.bubbleWidth / settings.bubbleHeight))) || 1;
   const rows = Math.ceil(N / cols);
-  const cellW = BUBBLE_WIDTH / cols;
-  const cellH = BUBBLE_HEIGHT / rows;
+  const cellW = settings.bubbleWidth / cols;
+  const cellH = settings.bubbleHeight / rows;
 
   // create SVG
   const svgNS = "http://www.w3.org/2000/svg";
   const svg = document.createElementNS(svgNS, "svg");
-  svg.setAttribute("width", BUBBLE_WIDTH);
-  svg.setAttribute("height", BUBBLE_HEIGHT);
+  svg.setAttribute("width", settings.bubbleWidth);
+  svg.setAttribute("height", settings.bubbleHeight);
   svg.style.display = "block";
   container.appendChild(svg);
 
@@ -827,7 +1229,7 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
     rect.setAttribute("y", y);
     rect.setAttribute("width", sz);
     rect.setAttribute("height", sz);
-    rect.setAttribute("fill", coverageColor(tStat.solvePercent));
+    rect.setAttribute("fill", bubbleFill(tStat, container.dataset.colorBy));
     rect.setAttribute("stroke", "#444");
     rect.setAttribute("stroke-width", "1");
     rect.setAttribute("data-tag", tag);
@@ -846,11 +1248,13 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
 
     // tooltip
     const title = document.createElementNS(svgNS, "title");
-    title.textContent = `${tag}\nSolved ${tStat.solved}/${tStat.totalAvailable}`;
+    title.textContent = `${tag}\nSolved ${tStat.solved}/${tStat.totalAvailable}\nSkill ${skillText(tStat)}` +
+      (tStat.relevantTotal ? `\nRelevant ${tStat.relevantSolved}/${tStat.relevantTotal} (±${settings.relevantWindow} of ${tStat.relevantCenter})` : "");
     rect.appendChild(title);
 
     // click handler
     rect.addEventListener("click", () => {
+      if (onTagClick && onTagClick(tag)) return;
       if (selectedTags.has(tag)) selectedTags.delete(tag);
       else selectedTags.add(tag);
       rect.classList.toggle("cf-bubble-square-selected");
@@ -868,17 +1272,26 @@ function initBubbleChart(container, agg, snapshot, selectedTags, graphContainer,
 
 
 /* -------------- DIFFICULTY GRAPH ----------- */
-function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
+// `query` ({ text, keys }) takes precedence over the tag selection when given.
+// A verdict group in `container.dataset.verdict` (set by the filter above the graph) limits
+// the graph to problems with at least one failed submission of that group.
+function drawDifficultyGraph(selectedTags, agg, snapshot, container, query) {
   container.innerHTML = ""; // clear
   const size = selectedTags.size;
-  if (size === 0) {
+  if (size === 0 && !query) {
     container.innerHTML = `<div style="font-size:12px; opacity:.6;">Select a bubble to see difficulty breakdown.</div>`;
     return;
   }
 
+  const verdictFilter = container.dataset.verdict || null;
+  let keys = query ? query.keys : intersectTagProblems([...selectedTags], agg);
+  if (verdictFilter) keys = [...keys].filter(k => hasVerdictGroup(snapshot.problems[k], verdictFilter));
+
   // Build diff buckets
   let diffMap;
-  if (size === 1) {
+  if (query || verdictFilter) {
+    diffMap = bucketsForKeys(keys, agg);
+  } else if (size === 1) {
     const tag = [...selectedTags][0];
     const tagObj = snapshot.tags[tag];
     if (!tagObj) return;
@@ -889,14 +1302,16 @@ function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
 
   const ordered = [...diffMap.entries()].sort((a,b)=> (a[0]-b[0]));
   if (!ordered.length) {
-    container.innerHTML = `<div style="font-size:12px; opacity:.6;">No intersection problems.</div>`;
+    container.innerHTML = `<div style="font-size:12px; opacity:.6;">${verdictFilter
+      ? `No problems with a ${escapeHTML(VERDICT_GROUP_LABELS[verdictFilter] || verdictFilter)} verdict here.`
+      : "No intersection problems."}</div>`;
     return;
   }
 
   // Data extents
   let maxPos = 0, maxNeg = 0;
   for (const [_,b] of ordered) {
-    const pos = b.solvedContest + b.solvedPractice;
+    const pos = solvedInBucket(b);
     const neg = b.failedContest + b.unsolved;
     if (pos > maxPos) maxPos = pos;
     if (neg > maxNeg) maxNeg = neg;
@@ -905,8 +1320,8 @@ function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
   if (maxNeg === 0) maxNeg = 1;
 
   const canvas = document.createElement("canvas");
-  canvas.width = GRAPH_WIDTH;
-  canvas.height = GRAPH_HEIGHT;
+  canvas.width = settings.graphWidth;
+  canvas.height = settings.graphHeight;
   canvas.style.border = "1px solid #ccc";
   canvas.style.background = "#fff";
   container.appendChild(canvas);
@@ -914,18 +1329,21 @@ function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
   ctx.font = GRAPH_FONT;
   ctx.textBaseline = "middle";
 
-  const innerW = GRAPH_WIDTH - GRAPH_MARGIN.left - GRAPH_MARGIN.right;
-  const innerH = GRAPH_HEIGHT - GRAPH_MARGIN.top - GRAPH_MARGIN.bottom;
+  const innerW = settings.graphWidth - GRAPH_MARGIN.left - GRAPH_MARGIN.right;
+  const innerH = settings.graphHeight - GRAPH_MARGIN.top - GRAPH_MARGIN.bottom;
   const zeroY = GRAPH_MARGIN.top + innerH/2;
 
-  // Determine difficulty values for scale
-  const diffs = ordered.map(d => d[0]);
-  const minDiff = Math.min(...diffs);
-  const maxDiff = Math.max(...diffs);
+  // Determine difficulty values for scale; unrated problems (bucket 0) get their own slot on the right
+  const hasUnrated = diffMap.has(0);
+  const ratedW = innerW - (hasUnrated ? GRAPH_UNRATED_SLOT : 0);
+  const diffs = ordered.map(d => d[0]).filter(Boolean);
+  const minDiff = diffs.length ? Math.min(...diffs) : 0;
+  const maxDiff = diffs.length ? Math.max(...diffs) : 0;
   const diffSpan = maxDiff - minDiff || 1;
 
   function xScale(d) {
-    return GRAPH_MARGIN.left + ( (d - minDiff) / diffSpan ) * innerW;
+    if (!d) return GRAPH_MARGIN.left + ratedW + GRAPH_UNRATED_SLOT / 2;
+    return GRAPH_MARGIN.left + ( (d - minDiff) / diffSpan ) * ratedW;
   }
   function yPosValue(v) { // positive solves
     return zeroY - (v / maxPos) * (innerH/2 - 10);
@@ -939,13 +1357,13 @@ function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
   ctx.lineWidth=1;
   ctx.beginPath();
   ctx.moveTo(GRAPH_MARGIN.left, zeroY);
-  ctx.lineTo(GRAPH_WIDTH - GRAPH_MARGIN.right, zeroY);
+  ctx.lineTo(settings.graphWidth - GRAPH_MARGIN.right, zeroY);
   ctx.stroke();
 
   // Y axis (center vertical)
   ctx.beginPath();
   ctx.moveTo(GRAPH_MARGIN.left, GRAPH_MARGIN.top);
-  ctx.lineTo(GRAPH_MARGIN.left, GRAPH_HEIGHT - GRAPH_MARGIN.bottom);
+  ctx.lineTo(GRAPH_MARGIN.left, settings.graphHeight - GRAPH_MARGIN.bottom);
   ctx.stroke();
 
   // Y ticks (positive & negative)
@@ -954,14 +1372,14 @@ function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
   for (let i=1;i<=yTicksPos;i++){
     const val = Math.round(maxPos * i / yTicksPos);
     const y = yPosValue(val);
-    ctx.strokeStyle="#ddd"; ctx.beginPath(); ctx.moveTo(GRAPH_MARGIN.left, y); ctx.lineTo(GRAPH_WIDTH-GRAPH_MARGIN.right, y); ctx.stroke();
+    ctx.strokeStyle="#ddd"; ctx.beginPath(); ctx.moveTo(GRAPH_MARGIN.left, y); ctx.lineTo(settings.graphWidth-GRAPH_MARGIN.right, y); ctx.stroke();
     ctx.fillStyle="#333"; ctx.fillText(val, GRAPH_MARGIN.left - 30, y);
   }
   const yTicksNeg = 3;
   for (let i=1;i<=yTicksNeg;i++){
     const val = Math.round(maxNeg * i / yTicksNeg);
     const y = yNegValue(val);
-    ctx.strokeStyle="#eee"; ctx.beginPath(); ctx.moveTo(GRAPH_MARGIN.left, y); ctx.lineTo(GRAPH_WIDTH-GRAPH_MARGIN.right, y); ctx.stroke();
+    ctx.strokeStyle="#eee"; ctx.beginPath(); ctx.moveTo(GRAPH_MARGIN.left, y); ctx.lineTo(settings.graphWidth-GRAPH_MARGIN.right, y); ctx.stroke();
     ctx.fillStyle="#333"; ctx.fillText(val, GRAPH_MARGIN.left - 30, y);
   }
 
@@ -969,35 +1387,42 @@ function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
   ctx.textBaseline = "top";
   const xTickCount = Math.min(8, diffs.length);
   for (let i=0;i<xTickCount;i++) {
-    const idx = Math.round( (diffs.length - 1) * i / (xTickCount - 1) );
+    const idx = xTickCount > 1 ? Math.round( (diffs.length - 1) * i / (xTickCount - 1) ) : 0;
     const d = diffs[idx];
     const x = xScale(d);
-    ctx.strokeStyle="#ddd"; ctx.beginPath(); ctx.moveTo(x, GRAPH_MARGIN.top); ctx.lineTo(x, GRAPH_HEIGHT - GRAPH_MARGIN.bottom); ctx.stroke();
-    ctx.fillStyle="#333"; ctx.fillText(d, x-10, GRAPH_HEIGHT - GRAPH_MARGIN.bottom + 2);
+    ctx.strokeStyle="#ddd"; ctx.beginPath(); ctx.moveTo(x, GRAPH_MARGIN.top); ctx.lineTo(x, settings.graphHeight - GRAPH_MARGIN.bottom); ctx.stroke();
+    ctx.fillStyle="#333"; ctx.fillText(d, x-10, settings.graphHeight - GRAPH_MARGIN.bottom + 2);
+  }
+  if (hasUnrated) {
+    const sepX = GRAPH_MARGIN.left + ratedW + 6;
+    ctx.strokeStyle="#999"; ctx.setLineDash([4, 3]);
+    ctx.beginPath(); ctx.moveTo(sepX, GRAPH_MARGIN.top); ctx.lineTo(sepX, settings.graphHeight - GRAPH_MARGIN.bottom); ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle="#333"; ctx.textAlign = "center";
+    ctx.fillText("Unrated", xScale(0), settings.graphHeight - GRAPH_MARGIN.bottom + 2);
+    const est = estimateRangeText(filterKeysByRating(keys, 0, snapshot), snapshot);
+    if (est) { ctx.fillStyle="#777"; ctx.fillText(`(${est})`, xScale(0), settings.graphHeight - GRAPH_MARGIN.bottom + 16); }
+    ctx.textAlign = "start";
   }
 
   // Bars
-  const barHalf = Math.max(2, Math.min(12, innerW / (diffs.length*3)));
+  const barHalf = Math.max(2, Math.min(12, innerW / (ordered.length*3)));
   for (const [d, b] of ordered) {
     const x = xScale(d);
-    const solvedC = b.solvedContest;
-    const solvedP = b.solvedPractice;
     const fails   = b.failedContest;
     const uns     = b.unsolved;
 
-    // Upwards: contest (green) then practice (blue) stacked
-    let currentY = zeroY;
-    if (solvedC > 0) {
-      const yTop = yPosValue(solvedC);
-      ctx.fillStyle="#2e8b57";
+    // Upwards: contest, virtual, out of competition, practice stacked
+    let currentY = zeroY, stacked = 0;
+    for (const o of SOLVE_ORIGINS) {
+      const n = b[originCountKey(o)] || 0;
+      if (!n) continue;
+      stacked += n;
+      const yTop = yPosValue(stacked);
+      ctx.fillStyle = SOLVE_ORIGIN_COLORS[o];
       ctx.fillRect(x - barHalf, yTop, barHalf*2, currentY - yTop);
       currentY = yTop;
     }
-    if (solvedP > 0) {
-      const yTop = yPosValue(solvedC + solvedP);
-      ctx.fillStyle="#1976d2";
-      ctx.fillRect(x - barHalf, yTop, barHalf*2, currentY - yTop);
-    }
 
     // Downwards: failed (red) then unsolved (gray)
     let currentNegY = zeroY;
@@ -1014,25 +1439,43 @@ function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
     }
   }
 
+  // Skill marker (single tag): line at the estimate over a band for its 95% interval
+  const skillStat = !query && size === 1 ? snapshot.tags[[...selectedTags][0]] : null;
+  if (skillStat?.skill != null && diffs.length) {
+    const clampX = d => Math.max(GRAPH_MARGIN.left, Math.min(GRAPH_MARGIN.left + ratedW, xScale(d)));
+    const x = clampX(skillStat.skill), x0 = clampX(skillStat.skillLow), x1 = clampX(skillStat.skillHigh);
+    const y0 = GRAPH_MARGIN.top, y1 = settings.graphHeight - GRAPH_MARGIN.bottom;
+    ctx.fillStyle = "rgba(25,118,210,.12)";
+    ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+    ctx.strokeStyle = "#1976d2"; ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(x, y0); ctx.lineTo(x, y1); ctx.stroke();
+    ctx.lineWidth = 1;
+    ctx.fillStyle = "#1976d2"; ctx.textBaseline = "top"; ctx.font = "11px sans-serif";
+    ctx.fillText(`skill ${skillText(skillStat)}`, x + 4, y0 + 2);
+    ctx.font = GRAPH_FONT;
+  }
+
   // Title
   ctx.fillStyle="#111";
   ctx.textBaseline="alphabetic";
   ctx.font="14px sans-serif";
-  if (size === 1) {
+  const filterNote = verdictFilter ? ` – ${VERDICT_GROUP_LABELS[verdictFilter]} only` : "";
+  if (query) {
+    ctx.fillText(`Difficulty Distribution (Query: ${query.text})${filterNote}`, GRAPH_MARGIN.left, GRAPH_MARGIN.top - 10);
+  } else if (size === 1) {
     const tag = [...selectedTags][0];
-    ctx.fillText(`Difficulty Distribution: ${tag}`, GRAPH_MARGIN.left, GRAPH_MARGIN.top - 10);
+    ctx.fillText(`Difficulty Distribution: ${tag}${filterNote}`, GRAPH_MARGIN.left, GRAPH_MARGIN.top - 10);
   } else {
-    ctx.fillText(`Difficulty Distribution (Intersection of ${size} tags)`, GRAPH_MARGIN.left, GRAPH_MARGIN.top - 10);
+    ctx.fillText(`Difficulty Distribution (Intersection of ${size} tags)${filterNote}`, GRAPH_MARGIN.left, GRAPH_MARGIN.top - 10);
   }
 
   // Legend
   const legend = [
-    ["#2e8b57","Contest Solved"],
-    ["#1976d2","Practice-only Solved"],
+    ...SOLVE_ORIGINS.map(o => [SOLVE_ORIGIN_COLORS[o], `${SOLVE_ORIGIN_LABELS[o]} Solved`]),
     ["#b00","Failed (Contest, unsolved)"],
     ["#bbb","Remaining Unsolved"]
   ];
-  let lx = GRAPH_WIDTH - GRAPH_MARGIN.right - 160;
+  let lx = settings.graphWidth - GRAPH_MARGIN.right - 160;
   let ly = GRAPH_MARGIN.top + 4;
   ctx.font="11px sans-serif";
   for (const [color,label] of legend) {
@@ -1042,10 +1485,32 @@ function drawDifficultyGraph(selectedTags, agg, snapshot, container) {
     ctx.fillText(label, lx+16, ly+10);
     ly += 16;
   }
+
+  // Click a bar -> list the problems behind that difficulty
+  const listHost = document.createElement("div");
+  listHost.style.marginTop = "12px";
+  container.appendChild(listHost);
+  canvas.style.cursor = "pointer";
+  canvas.title = "Click a bar to list its problems";
+  canvas.addEventListener("click", (e) => {
+    const box = canvas.getBoundingClientRect();
+    const px = (e.clientX - box.left) * (canvas.width / box.width);
+    let hit = null, hitDist = Infinity;
+    for (const [d] of ordered) {
+      const dist = Math.abs(xScale(d) - px);
+      if (dist < hitDist) { hit = d; hitDist = dist; }
+    }
+    if (hit == null || hitDist > Math.max(barHalf * 2, 8)) return;
+    mountProblemList(listHost, {
+      title: `Problems at ${hit || "unrated"}`,
+      keys: filterKeysByRating(keys, hit, snapshot),
+      snapshot
+    });
+  });
 }
 
-function buildIntersectionBuckets(tags, agg) {
-  const { perTagProblemList, perProblemMeta, perProblemOrigin, perProblemStatus } = agg;
+function intersectTagProblems(tags, agg) {
+  const { perTagProblemList } = agg;
   let inter = null;
   for (const t of tags) {
     const set = perTagProblemList.get(t);
@@ -1054,27 +1519,232 @@ function buildIntersectionBuckets(tags, agg) {
     else for (const val of [...inter]) if (!set.has(val)) inter.delete(val);
     if (inter.size === 0) break;
   }
+  return inter || new Set();
+}
+
+function buildIntersectionBuckets(tags, agg) {
+  return bucketsForKeys(intersectTagProblems(tags, agg), agg);
+}
+
+function bucketsForKeys(keys, agg) {
+  const { perProblemMeta, perProblemOrigin, perProblemStatus } = agg;
   const diffMap = new Map();
-  if (!inter || inter.size === 0) return diffMap;
-  for (const key of inter) {
+  for (const key of keys) {
     const meta = perProblemMeta.get(key);
     if (!meta) continue;
     const rating = meta.rating || 0;
     let b = diffMap.get(rating);
-    if (!b) {
-      b = { solvedContest:0, solvedPractice:0, failedContest:0, unsolved:0, total:0 };
-      diffMap.set(rating, b);
+    if (!b) { b = emptyDiffBucket(); diffMap.set(rating, b); }
+    countInDiffBucket(b, perProblemStatus.get(key), perProblemOrigin.get(key));
+  }
+  return diffMap;
+}
+
+/* -------------- PROGRESS CHART ------------ */
+function progressPoints(history, tag) {
+  const points = [];
+  for (const e of history) {
+    const v = e.tags[tag];
+    if (!v) continue;
+    points.push({ t: new Date(e.at).getTime(), solved: v[0], cov: v[1], max: v[2], next: v[3] });
+  }
+  return points;
+}
+
+function progressSummaryText(history, tag) {
+  const pts = progressPoints(history, tag);
+  if (!pts.length) return "";
+  const first = pts[0], last = pts[pts.length - 1];
+  const since = new Date(first.t).toLocaleDateString();
+  return `Since ${since}: solved ${first.solved} → ${last.solved}, ` +
+    `coverage ${(first.cov*100).toFixed(1)}% → ${(last.cov*100).toFixed(1)}%, ` +
+    `max ${first.max ?? "-"} → ${last.max ?? "-"} (${pts.length} snapshots)`;
+}
+
+function drawProgressChart(history, tag, container) {
+  container.innerHTML = "";
+  const pts = progressPoints(history, tag);
+  if (!pts.length) {
+    container.innerHTML = `<div style="font-size:12px; opacity:.6;">No history for this tag yet. A point is recorded each time fresh data is fetched.</div>`;
+    return;
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = settings.graphWidth;
+  canvas.height = settings.graphHeight;
+  canvas.style.border = "1px solid #ccc";
+  canvas.style.background = "#fff";
+  container.appendChild(canvas);
+  const ctx = canvas.getContext("2d");
+  ctx.font = GRAPH_FONT;
+
+  const left = GRAPH_MARGIN.left, right = settings.graphWidth - GRAPH_MARGIN.right - 20;
+  const top = GRAPH_MARGIN.top, bottom = settings.graphHeight - GRAPH_MARGIN.bottom;
+
+  // Time axis (pad a single point by a day each side)
+  let tMin = pts[0].t, tMax = pts[pts.length - 1].t;
+  if (tMin === tMax) { tMin -= 86400000; tMax += 86400000; }
+  const xScale = t => left + (t - tMin) / (tMax - tMin) * (right - left);
+
+  // Left axis: coverage %, right axis: max solved rating
+  const covMax = Math.max(10, Math.ceil(Math.max(...pts.map(p => p.cov * 100)) / 10) * 10);
+  const maxVals = pts.map(p => p.max).filter(v => v != null);
+  const rLo = maxVals.length ? Math.min(...maxVals) - 100 : 800;
+  const rHi = maxVals.length ? Math.max(...maxVals) + 100 : 1600;
+  const yCov = v => bottom - (v / covMax) * (bottom - top);
+  const yMax = v => bottom - ((v - rLo) / (rHi - rLo)) * (bottom - top);
+
+  // Grid + axis labels
+  ctx.textBaseline = "middle";
+  for (let i = 0; i <= 4; i++) {
+    const y = top + (bottom - top) * i / 4;
+    ctx.strokeStyle = "#eee"; ctx.beginPath(); ctx.moveTo(left, y); ctx.lineTo(right, y); ctx.stroke();
+    ctx.fillStyle = "#1976d2"; ctx.fillText(Math.round(covMax * (4 - i) / 4) + "%", left - 40, y);
+    ctx.fillStyle = "#2e8b57"; ctx.fillText(Math.round(rLo + (rHi - rLo) * (4 - i) / 4), right + 6, y);
+  }
+  ctx.strokeStyle = "#333";
+  ctx.beginPath(); ctx.moveTo(left, top); ctx.lineTo(left, bottom); ctx.lineTo(right, bottom); ctx.lineTo(right, top); ctx.stroke();
+
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "#333";
+  const xTicks = Math.min(6, pts.length === 1 ? 3 : 6);
+  for (let i = 0; i < xTicks; i++) {
+    const t = tMin + (tMax - tMin) * i / (xTicks - 1);
+    const x = xScale(t);
+    ctx.fillText(new Date(t).toLocaleDateString(), x - 30, bottom + 4);
+  }
+
+  function series(color, yOf, pick) {
+    const ps = pts.filter(p => pick(p) != null);
+    ctx.strokeStyle = color; ctx.fillStyle = color; ctx.lineWidth = 2;
+    ctx.beginPath();
+    ps.forEach((p, i) => {
+      const x = xScale(p.t), y = yOf(pick(p));
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    for (const p of ps) {
+      ctx.beginPath(); ctx.arc(xScale(p.t), yOf(pick(p)), 3, 0, Math.PI * 2); ctx.fill();
     }
-    b.total++;
-    const status = perProblemStatus.get(key);
-    const origin = perProblemOrigin.get(key);
-    if (status?.solved) {
-      if (origin?.contest) b.solvedContest++; else b.solvedPractice++;
-    } else {
-      if (status?.failedContest) b.failedContest++; else b.unsolved++;
+    ctx.lineWidth = 1;
+  }
+  series("#1976d2", yCov, p => p.cov * 100);
+  series("#2e8b57", yMax, p => p.max);
+
+  // Title + legend
+  ctx.fillStyle = "#111";
+  ctx.textBaseline = "alphabetic";
+  ctx.font = "14px sans-serif";
+  ctx.fillText(`Progress: ${tag}`, left, top - 10);
+  ctx.font = "11px sans-serif";
+  let lx = right - 150;
+  for (const [color, label] of [["#1976d2", "Coverage %"], ["#2e8b57", "Max solved rating"]]) {
+    ctx.fillStyle = color; ctx.fillRect(lx, top - 20, 12, 12);
+    ctx.fillStyle = "#222"; ctx.fillText(label, lx + 16, top - 10);
+    lx += 80;
+  }
+}
+
+/* -------------- SOLVE TIMELINE ------------ */
+function weekStart(sec) {
+  const d = new Date(sec * 1000);
+  const dayOfWeek = (d.getUTCDay() + 6) % 7; // Monday = 0
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - dayOfWeek);
+}
+
+function drawSolveTimeline(selectedTags, agg, snapshot, container) {
+  container.innerHTML = "";
+  const ranked = sortTags(agg.tagArray, "solved").map(t => t.tag);
+  const series = selectedTags.size
+    ? ranked.filter(t => selectedTags.has(t))
+    : ranked.slice(0, TIMELINE_TOP_TAGS);
+  const withOther = !selectedTags.size;
+
+  // week -> series index -> count
+  const weeks = new Map();
+  let firstWeek = null;
+  for (const p of Object.values(snapshot.problems)) {
+    if (!p.solved || p.firstAcAt == null) continue;
+    let idx = series.findIndex(t => p.tags.includes(t));
+    if (idx < 0) {
+      if (!withOther) continue;
+      idx = series.length;
     }
+    const w = weekStart(p.firstAcAt);
+    if (firstWeek == null || w < firstWeek) firstWeek = w;
+    let counts = weeks.get(w);
+    if (!counts) { counts = new Array(series.length + 1).fill(0); weeks.set(w, counts); }
+    counts[idx]++;
+  }
+  if (firstWeek == null) {
+    container.innerHTML = `<div style="font-size:12px; opacity:.6;">No timed solves for this selection.</div>`;
+    return;
+  }
+
+  const WEEK = 7 * 86400000;
+  const lastWeek = weekStart(new Date(snapshot.generatedAt).getTime() / 1000);
+  const nWeeks = Math.max(1, Math.round((lastWeek - firstWeek) / WEEK) + 1);
+  let maxTotal = 1;
+  for (const counts of weeks.values()) maxTotal = Math.max(maxTotal, counts.reduce((a, b) => a + b, 0));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = settings.graphWidth;
+  canvas.height = settings.graphHeight;
+  canvas.style.border = "1px solid #ccc";
+  canvas.style.background = "#fff";
+  container.appendChild(canvas);
+  const ctx = canvas.getContext("2d");
+  ctx.font = GRAPH_FONT;
+
+  const left = GRAPH_MARGIN.left, right = settings.graphWidth - GRAPH_MARGIN.right;
+  const top = GRAPH_MARGIN.top, bottom = settings.graphHeight - GRAPH_MARGIN.bottom;
+  const barW = (right - left) / nWeeks;
+  const yOf = v => bottom - (v / maxTotal) * (bottom - top);
+
+  ctx.textBaseline = "middle";
+  for (let i = 0; i <= 4; i++) {
+    const v = Math.round(maxTotal * i / 4);
+    const y = yOf(v);
+    ctx.strokeStyle = "#eee"; ctx.beginPath(); ctx.moveTo(left, y); ctx.lineTo(right, y); ctx.stroke();
+    ctx.fillStyle = "#333"; ctx.fillText(v, left - 30, y);
+  }
+
+  for (const [w, counts] of weeks.entries()) {
+    const x = left + Math.round((w - firstWeek) / WEEK) * barW;
+    let acc = 0;
+    counts.forEach((n, i) => {
+      if (!n) return;
+      ctx.fillStyle = TIMELINE_COLORS[i % TIMELINE_COLORS.length];
+      if (i === series.length) ctx.fillStyle = "#bbb";
+      ctx.fillRect(x, yOf(acc + n), Math.max(1, barW - 1), yOf(acc) - yOf(acc + n));
+      acc += n;
+    });
+  }
+
+  ctx.strokeStyle = "#333";
+  ctx.beginPath(); ctx.moveTo(left, top); ctx.lineTo(left, bottom); ctx.lineTo(right, bottom); ctx.stroke();
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "#333";
+  const xTicks = Math.min(6, nWeeks);
+  for (let i = 0; i < xTicks; i++) {
+    const wi = xTicks === 1 ? 0 : Math.round((nWeeks - 1) * i / (xTicks - 1));
+    ctx.fillText(new Date(firstWeek + wi * WEEK).toLocaleDateString(), left + wi * barW - 20, bottom + 4);
+  }
+
+  ctx.fillStyle = "#111";
+  ctx.textBaseline = "alphabetic";
+  ctx.font = "14px sans-serif";
+  ctx.fillText("Solves per week", left, top - 10);
+  ctx.font = "11px sans-serif";
+  const legend = series.map((t, i) => [TIMELINE_COLORS[i % TIMELINE_COLORS.length], t]);
+  if (withOther) legend.push(["#bbb", "other"]);
+  let ly = top + 4;
+  const lx = right - 150;
+  for (const [color, label] of legend) {
+    ctx.fillStyle = color; ctx.fillRect(lx, ly, 12, 12);
+    ctx.fillStyle = "#222"; ctx.fillText(label, lx + 16, ly + 10);
+    ly += 16;
   }
-  return diffMap;
 }
 
 /* -------------- DRILL TABLE (TABLE VIEW) --- */
@@ -1084,51 +1754,51 @@ function openDiffDrillIntersection(tags, agg, container, snapshot) {
     container.innerHTML = `<div class="cf-drill"><h4 style="margin:0;">Intersection (${tags.length}): ${tags.map(escapeHTML).join(", ")}</h4><div style="font-size:12px;margin-top:6px;">No common problems.</div></div>`;
     return;
   }
+  const total = [...diffMap.values()].reduce((n, b) => n + b.total, 0);
   container.innerHTML = renderDiffTable({
-    title: `Intersection (${tags.length}): ${tags.map(escapeHTML).join(", ")} (Problems: ??)`,
-    diffMap
+    title: `Intersection (${tags.length}): ${tags.map(escapeHTML).join(", ")} (Problems: ${total})`,
+    diffMap,
+    keys: intersectTagProblems(tags, agg),
+    snapshot
   });
 }
 
 function rebuildDiffMapFromSnapshot(bucketsObj) {
   const diffMap = new Map();
   for (const [diff, b] of Object.entries(bucketsObj)) {
-    diffMap.set(diff === "0" ? 0 : parseInt(diff,10), {
-      solvedContest: b.solvedContest,
-      solvedPractice: b.solvedPractice,
-      failedContest: b.failedContest,
-      unsolved: b.unsolved,
-      total: b.total
-    });
+    diffMap.set(diff === "0" ? 0 : parseInt(diff,10), { ...emptyDiffBucket(), ...b });
   }
   return diffMap;
 }
 
-function renderDiffTable({ title, diffMap }) {
-  const ordered = [...diffMap.entries()].sort((a,b)=> (a[0]-b[0]));
-  const maxSolved = Math.max(...ordered.map(([_,b]) => b.solvedContest + b.solvedPractice), 1);
+// `keys` + `snapshot` (optional) add the per-difficulty verdict mix column and the estimate
+// range of the unrated row, which always comes last.
+function renderDiffTable({ title, diffMap, keys, snapshot }) {
+  const ordered = [...diffMap.entries()].sort((a,b)=> (!a[0] - !b[0]) || (a[0]-b[0]));
+  const hasUnrated = diffMap.has(0);
+  const withVerdicts = !!(keys && snapshot);
+  const maxSolved = Math.max(...ordered.map(([_,b]) => solvedInBucket(b)), 1);
   const rows = ordered.map(([rating, b]) => {
-    const solved = b.solvedContest + b.solvedPractice;
+    const solved = solvedInBucket(b);
     const width = Math.round((solved / maxSolved) * 180);
-    const contestWidth  = solved ? Math.round(width * (b.solvedContest / solved)) : 0;
-    const practiceWidth = width - contestWidth;
-    const barHTML = solved ? `
-      <div style="display:inline-block;height:10px;background:#2e8b57;width:${contestWidth}px;"></div>
-      <div style="display:inline-block;height:10px;background:#1976d2;width:${practiceWidth}px;"></div>
-    ` : "";
+    const barHTML = SOLVE_ORIGINS.filter(o => b[originCountKey(o)]).map(o =>
+      `<div style="display:inline-block;height:10px;background:${SOLVE_ORIGIN_COLORS[o]};width:${Math.round(width * b[originCountKey(o)] / solved)}px;"></div>`
+    ).join("");
     return `
-      <tr>
-        <td class="cf-td">${rating || "-"}</td>
+      <tr class="cf-drill-row" data-rating="${rating}">
+        <td class="cf-td">${rating || `Unrated ${keys && snapshot
+          ? `<span class="cf-est">${estimateRangeText(filterKeysByRating(keys, 0, snapshot), snapshot)}</span>` : ""}`}</td>
         <td class="cf-td num">${solved}</td>
         <td class="cf-td num">${b.failedContest}</td>
         <td class="cf-td num">${b.unsolved}</td>
         <td class="cf-td num">${b.total}</td>
         <td class="cf-td">
           ${barHTML}
-          ${b.solvedContest ? `<span class="cf-mini">C${b.solvedContest}</span>`:""}
-          ${b.solvedPractice ? `<span class="cf-mini">P${b.solvedPractice}</span>`:""}
+          ${SOLVE_ORIGINS.filter(o => b[originCountKey(o)]).map(o =>
+            `<span class="cf-mini">${SOLVE_ORIGIN_SHORT[o]}${b[originCountKey(o)]}</span>`).join("")}
           ${b.failedContest ? `<span class="cf-mini" style="color:#b00;">F${b.failedContest}</span>`:""}
         </td>
+        ${withVerdicts ? `<td class="cf-td">${verdictMixBar(verdictMixForKeys(filterKeysByRating(keys, rating, snapshot), snapshot), 60)}</td>` : ""}
       </tr>
     `;
   }).join("");
@@ -1138,51 +1808,670 @@ function renderDiffTable({ title, diffMap }) {
       <table class="cf-drill-table">
         <thead>
           <tr>
-            <th>Difficulty</th><th>Solved</th><th>Failed(C)</th><th>Unsolved</th><th>Total</th><th>Bar (C vs P)</th>
+            <th>Difficulty</th><th>Solved</th><th>Failed(C)</th><th>Unsolved</th><th>Total</th><th>Bar (C/V/O/P)</th>
+            ${withVerdicts ? "<th>Verdicts</th>" : ""}
           </tr>
         </thead>
         <tbody>${rows}</tbody>
       </table>
       <div class="cf-foot-note">
-        Green = contest solves, Blue = practice-only solves. Failed(C) = unsolved with ≥1 non-OK contest submission.
+        Solved by ${SOLVE_ORIGINS.map(o => `<span style="color:${SOLVE_ORIGIN_COLORS[o]};">${SOLVE_ORIGIN_LABELS[o].toLowerCase()}</span>`).join(" / ")}
+        (best way it was solved). Failed(C) = unsolved with ≥1 non-OK submission as a live contestant.
+        ${withVerdicts ? `Verdicts = failed submissions by type: ${verdictLegendHTML()}.` : ""}
+        ${hasUnrated ? `Unrated = no Codeforces rating yet${contestNames ? "; ~ marks an estimate from the contest division and problem letter" : ""}.` : ""}
+        Click a row to list its problems.
       </div>
     </div>
   `;
 }
 
+function bindDiffDrill(container, keys, snapshot) {
+  const listHost = document.createElement("div");
+  listHost.style.marginTop = "12px";
+  container.appendChild(listHost);
+  const rows = container.querySelectorAll("tr[data-rating]");
+  rows.forEach(tr => {
+    tr.addEventListener("click", () => {
+      const rating = Number(tr.dataset.rating);
+      rows.forEach(r => r.classList.toggle("cf-selected-row", r === tr));
+      mountProblemList(listHost, {
+        title: `Problems at ${rating || "unrated"}`,
+        keys: filterKeysByRating(keys, rating, snapshot),
+        snapshot
+      });
+    });
+  });
+}
+
+function filterKeysByRating(keys, rating, snapshot) {
+  const out = [];
+  for (const key of keys) {
+    const p = snapshot.problems[key];
+    if (p && (p.rating || 0) === rating) out.push(key);
+  }
+  return out;
+}
+
+// Difference view: problems in the selection that a compared handle solved and this one has not.
+function renderCompareDiff(container, keys, snapshot, compares) {
+  for (const c of compares) {
+    const diffKeys = [];
+    for (const key of keys) {
+      const mine = snapshot.problems[key];
+      const theirs = c.snapshot.problems[key];
+      if (mine && !mine.solved && theirs?.solved) diffKeys.push(key);
+    }
+    const host = document.createElement("div");
+    host.style.marginTop = "12px";
+    container.appendChild(host);
+    mountProblemList(host, {
+      title: `Solved by ${c.handle}, not by ${snapshot.handle}`,
+      keys: diffKeys,
+      snapshot
+    });
+  }
+}
+
+/* -------------- EXPORT / IMPORT ---------- */
+function downloadFile(name, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const str = String(v);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function tagTableCSV(stats) {
+  const header = ["Tag","Solved","Total","UnratedSolved","UnratedTotal","Coverage%","RelevantCoverage%","Contest","Virtual","OutOfCompetition","Practice","Max","Skill","SkillLow","SkillHigh","FailMin","FailMax","Next","Recommend","LastPractised","DaysSinceSolve"];
+  const lines = [header.join(",")];
+  for (const s of stats) {
+    lines.push([
+      s.tag, s.solved, s.totalAvailable, s.unratedSolved, s.unratedTotal, (s.solvePercent * 100).toFixed(2),
+      s.relevantCoverage == null ? null : (s.relevantCoverage * 100).toFixed(2),
+      s.solvedContest, s.solvedVirtual, s.solvedOoc, s.solvedPractice,
+      s.maxSolved, s.skill, s.skillLow, s.skillHigh, s.minFailedDifficulty, s.maxFailedDifficulty, s.nextTargetDifficulty,
+      s.recommendScore?.toFixed(4),
+      s.lastAttemptAt != null ? toDateInput(s.lastAttemptAt) : null,
+      daysSince(s.lastSolvedAt)
+    ].map(csvCell).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+function snapshotMarkdown(agg, snapshot, range) {
+  const mdCell = v => String(v ?? "-").replace(/\|/g, "\\|");
+  const pct = v => (v * 100).toFixed(1) + "%";
+  const solvedTotal = Object.values(snapshot.problems).filter(p => p.solved).length;
+  const user = snapshot.user;
+  const lines = [
+    `# Codeforces Tag Stats: ${snapshot.handle}`,
+    "",
+    `- Generated: ${new Date(snapshot.generatedAt).toLocaleString()}`,
+    `- Rating: ${user?.rating ?? "unrated"}${user?.rank ? ` (${user.rank})` : ""}`,
+    `- Range: ${rangeLabelText(range, snapshot)}`,
+    `- Solved problems: ${solvedTotal}`,
+    "",
+    "## Strongest tags",
+    "",
+    "| Tag | Solved | Coverage | Max | Next |",
+    "|---|---:|---:|---:|---:|"
+  ];
+  for (const t of sortTags(agg.tagArray, "solved").slice(0, 10)) {
+    lines.push(`| ${mdCell(t.tag)} | ${t.solved} | ${pct(t.solvePercent)} | ${mdCell(t.maxSolved)} | ${mdCell(t.nextTargetDifficulty)} |`);
+  }
+  lines.push("", "## Focus tags (by Recommend)", "", "| Tag | Score | Coverage | Max | FailBand | Next |", "|---|---:|---:|---:|---:|---:|");
+  for (const t of sortTags(agg.tagArray, "recommend").slice(0, 10)) {
+    lines.push(`| ${mdCell(t.tag)} | ${t.recommendScore.toFixed(2)} | ${pct(t.solvePercent)} | ${mdCell(t.maxSolved)} | ${failBandCell(t)} | ${mdCell(t.nextTargetDifficulty)} |`);
+  }
+  const picks = suggestProblems(agg, snapshot);
+  if (picks.length) {
+    lines.push("", "## Suggested problems", "");
+    for (const { key, p, reason } of picks) {
+      const url = problemURL(key);
+      lines.push(`- ${url ? `[${p.name}](${url})` : p.name} (${key}, ${p.rating}): ${reason}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// An exported file is not trusted as is: only its submissions and problem metadata are read,
+// and the snapshot is rebuilt from them (buildProblemMeta drops anything malformed).
+function parseImportedSnapshot(text) {
+  let obj;
+  try { obj = JSON.parse(text); } catch { throw new Error("not a JSON file"); }
+  if (!obj || typeof obj !== "object" || typeof obj.handle !== "string" || !obj.problems || typeof obj.problems !== "object" || !obj.tags) {
+    throw new Error("not a Tag Stats snapshot");
+  }
+  // Older exports go through the storage migrations. Those drop submission lists that predate
+  // participant types and languages, but the rebuild can still use them (those splits fall back
+  // to contest ids and "Other"), so the list is taken from the file as written.
+  const submissions = obj.submissions;
+  const version = obj.schemaVersion;
+  let migrated = null;
+  try { migrated = migrateSnapshot(obj, SNAPSHOT_SCHEMA_VERSION); } catch { /* malformed: rejected below */ }
+  if (!migrated) {
+    throw new Error(`snapshot schema v${version} is not supported (this version reads up to v${SNAPSHOT_SCHEMA_VERSION})`);
+  }
+  if (!Array.isArray(submissions)) throw new Error("snapshot has no submission list; refresh and export it again");
+  const problems = Object.entries(obj.problems)
+    .filter(([, p]) => p && typeof p === "object")
+    .map(([key, p]) => ({ ...problemFromKey(key), name: p.name, tags: p.tags, rating: p.rating }));
+  const snapshot = buildSnapshotFromData({
+    handle: obj.handle,
+    user: slimUser(obj.user),
+    submissions: submissions.filter(s => s && typeof s === "object" && Number.isFinite(s.id)),
+    problemset: { problems }
+  });
+  const generatedAt = Date.parse(obj.generatedAt);
+  if (Number.isFinite(generatedAt)) snapshot.generatedAt = new Date(generatedAt).toISOString();
+  return snapshot;
+}
+
+/* -------------- OFFLINE DUMPS -------------- */
+const IMPORT_CONTROL_HTML = `
+  <button id="cf-import-btn" class="cf-tag-refresh-btn"
+    title="Load an exported snapshot, or saved user.status + problemset.problems responses (JSON files or a zip)">Import…</button>
+  <input id="cf-import-file" type="file" accept=".json,.zip,application/json,application/zip" multiple style="display:none;">`;
+
+// Wires IMPORT_CONTROL_HTML inside `root`; an imported snapshot replaces the block and a
+// failure is shown in root's #cf-import-error.
+function bindImportControl(root, handle) {
+  const importFile = root.querySelector("#cf-import-file");
+  const importError = root.querySelector("#cf-import-error");
+  root.querySelector("#cf-import-btn").addEventListener("click", () => importFile.click());
+  importFile.addEventListener("change", async () => {
+    const files = [...importFile.files];
+    if (!files.length) return;
+    importError.style.display = "none";
+    try {
+      await showSnapshot(await importSnapshotFromFiles(files, handle));
+    } catch (e) {
+      importError.textContent = `Import failed: ${e.message}`;
+      importError.style.display = "";
+    }
+    importFile.value = "";
+  });
+}
+
+// Import accepts either one exported snapshot or saved API responses: user.status and
+// problemset.problems (user.info optional), as separate JSON files or zipped together.
+async function importSnapshotFromFiles(files, fallbackHandle) {
+  const entries = [];
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name) || file.type === "application/zip") {
+      const inner = await unzipEntries(await file.arrayBuffer());
+      entries.push(...inner.filter(e => /\.json$/i.test(e.name) && !e.name.startsWith("__MACOSX/")));
+    } else {
+      entries.push({ name: file.name, text: await file.text(), lastModified: file.lastModified });
+    }
+  }
+  if (!entries.length) throw new Error("no JSON files found");
+  if (entries.length === 1 && isExportedSnapshot(entries[0].text)) {
+    const snap = parseImportedSnapshot(entries[0].text);
+    snap.imported = { fileName: entries[0].name, at: new Date().toISOString() };
+    return snap;
+  }
+  return snapshotFromDumps(entries, fallbackHandle);
+}
+
+// Runs the normal pipeline over dumped responses. The snapshot is dated by the user.status
+// file (the dump's timestamp) and marked `offline`.
+async function snapshotFromDumps(entries, fallbackHandle) {
+  const found = {};
+  for (const e of entries) {
+    let data;
+    try { data = JSON.parse(e.text); } catch { throw new Error(`${e.name}: not a JSON file`); }
+    if (data?.status === "FAILED") throw new Error(`${e.name}: saved API error (${data.comment})`);
+    const result = data?.status === "OK" && "result" in data ? data.result : data;
+    const kind = dumpKind(result);
+    if (!kind) throw new Error(`${e.name}: not a user.status, problemset.problems or user.info response`);
+    if (found[kind]) throw new Error(`${e.name}: more than one ${DUMP_KIND_LABELS[kind]} response`);
+    found[kind] = { ...e, result };
+  }
+  if (!found.status) throw new Error("no user.status response found");
+
+  let problemset = found.problemset?.result;
+  if (!problemset) {
+    // The problemset barely changes; a cached copy will do when the dump lacks one.
+    const cache = await loadProblemsetCache({ allowExpired: true });
+    if (!cache) throw new Error("no problemset.problems response found (and none cached)");
+    problemset = cache.problemset;
+  }
+  const submissions = found.status.result;
+  const userInfos = found.user?.result || [];
+  const handle = dumpOwnerHandle(submissions, userInfos) || fallbackHandle;
+  const snapshot = buildSnapshotFromData({
+    handle,
+    user: slimUser(userInfos.find(u => u.handle.toLowerCase() === handle.toLowerCase())),
+    submissions,
+    problemset
+  });
+  const dumpedAt = new Date(found.status.lastModified || Date.now()).toISOString();
+  snapshot.generatedAt = dumpedAt;
+  snapshot.offline = { dumpedAt, files: Object.values(found).map(f => f.name) };
+  return snapshot;
+}
+
+// Team submissions list every member, so the owner is the one handle present in all of them.
+// When that is ambiguous (only one team's submissions, or none with members): the user.info
+// handle if there is exactly one, else null (the caller falls back to the page's handle).
+function dumpOwnerHandle(submissions, userInfos) {
+  let common = null;   // lowercased handle -> handle as written
+  for (const s of submissions) {
+    const members = s.author?.members;
+    if (!members?.length) continue;
+    const here = new Map(members.map(m => [m.handle.toLowerCase(), m.handle]));
+    common = common ? new Map([...common].filter(([h]) => here.has(h))) : here;
+  }
+  if (common?.size === 1) return [...common.values()][0];
+  const infos = common?.size ? userInfos.filter(u => common.has(u.handle.toLowerCase())) : userInfos;
+  return infos.length === 1 ? infos[0].handle : null;
+}
+
+function isExportedSnapshot(text) {
+  try { return JSON.parse(text)?.schemaVersion !== undefined; } catch { return false; }
+}
+
+const DUMP_KIND_LABELS = { status: "user.status", problemset: "problemset.problems", user: "user.info" };
+
+function dumpKind(result) {
+  if (Array.isArray(result?.problems)) return "problemset";
+  if (!Array.isArray(result)) return null;
+  if (result.length && result.every(u => typeof u?.handle === "string" && !u.problem)) return "user";
+  if (result.every(s => s?.problem && s.id != null)) return "status";
+  return null;
+}
+
+// Minimal zip reader (stored and deflated entries, no zip64 or encryption), enough for
+// archives made by the usual zip tools.
+async function unzipEntries(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("not a zip file");
+  const count = view.getUint16(eocd + 10, true);
+  let ptr = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(ptr, true) !== 0x02014b50) throw new Error("corrupt zip directory");
+    const method = view.getUint16(ptr + 10, true);
+    const time = view.getUint16(ptr + 12, true);
+    const date = view.getUint16(ptr + 14, true);
+    const size = view.getUint32(ptr + 20, true);
+    const nameLen = view.getUint16(ptr + 28, true);
+    const skip = nameLen + view.getUint16(ptr + 30, true) + view.getUint16(ptr + 32, true);
+    const local = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLen));
+    ptr += 46 + skip;
+    if (name.endsWith("/")) continue;
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const raw = new Uint8Array(buffer, start, size);
+    let bytes;
+    if (method === 0) bytes = raw;
+    else if (method === 8) bytes = await inflateRaw(raw);
+    else throw new Error(`${name}: unsupported zip compression (method ${method})`);
+    entries.push({ name, text: decoder.decode(bytes), lastModified: dosDateTime(date, time) });
+  }
+  return entries;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Zip entry times are local DOS date/time fields.
+function dosDateTime(date, time) {
+  return new Date(1980 + (date >> 9), ((date >> 5) & 15) - 1, date & 31,
+    time >> 11, (time >> 5) & 63, (time & 31) * 2).getTime();
+}
+
+/* -------------- TAG QUERY ------------------ */
+// Grammar (operators are case-insensitive, NOT binds tightest, then AND, then OR):
+//   expr := and ("OR" and)*      and := not ("AND" not)*
+//   not  := "NOT" not | "(" expr ")" | tag
+// Symbols &, | and ! work too. Tags are matched against the known tag list, longest first,
+// so multi-word tags like `binary search` or `divide and conquer` need no quotes.
+const QUERY_OPERATORS = { and: "AND", "&": "AND", "&&": "AND", or: "OR", "|": "OR", "||": "OR", not: "NOT", "!": "NOT" };
+
+function tokenizeTagQuery(text) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|"([^"]*)"|'([^']*)'|(&&|\|\||[&|!])|([^\s()"'&|!]+))/y;
+  let m;
+  re.lastIndex = 0;
+  while (re.lastIndex < text.length) {
+    const start = re.lastIndex;
+    if (!(m = re.exec(text))) {
+      if (!text.slice(start).trim()) break;
+      throw new Error(`Unexpected "${text.slice(start).trim()[0]}"`);
+    }
+    if (m[1]) tokens.push({ type: "(" });
+    else if (m[2]) tokens.push({ type: ")" });
+    else if (m[3] != null || m[4] != null) tokens.push({ type: "tag", value: m[3] ?? m[4], quoted: true });
+    else if (m[5]) tokens.push({ type: "op", value: QUERY_OPERATORS[m[5]] });
+    else tokens.push({ type: "word", value: m[6] });
+  }
+  return tokens;
+}
+
+function parseTagQuery(text, knownTags) {
+  const known = new Map([...knownTags].map(t => [t.toLowerCase(), t]));
+  const raw = tokenizeTagQuery(text);
+
+  // Merge word runs into known tags (longest match wins), the rest must be operators.
+  const tokens = [];
+  for (let i = 0; i < raw.length; i++) {
+    const tok = raw[i];
+    if (tok.type === "tag") {
+      const tag = known.get(tok.value.toLowerCase());
+      if (!tag) throw new Error(`Unknown tag "${tok.value}"`);
+      tokens.push({ type: "tag", value: tag });
+      continue;
+    }
+    if (tok.type !== "word") { tokens.push(tok); continue; }
+    let j = i;
+    while (j + 1 < raw.length && raw[j + 1].type === "word") j++;
+    let matched = null;
+    for (let end = j; end >= i && !matched; end--) {
+      const phrase = raw.slice(i, end + 1).map(t => t.value).join(" ").toLowerCase();
+      if (known.has(phrase)) matched = { tag: known.get(phrase), end };
+    }
+    if (matched) {
+      tokens.push({ type: "tag", value: matched.tag });
+      i = matched.end;
+    } else if (QUERY_OPERATORS[tok.value.toLowerCase()]) {
+      tokens.push({ type: "op", value: QUERY_OPERATORS[tok.value.toLowerCase()] });
+    } else {
+      throw new Error(`Unknown tag "${tok.value}"`);
+    }
+  }
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (op) => peek()?.type === "op" && peek().value === op;
+  function parseOr() {
+    let node = parseAnd();
+    while (isOp("OR")) { pos++; node = { op: "or", left: node, right: parseAnd() }; }
+    return node;
+  }
+  function parseAnd() {
+    let node = parseNot();
+    while (isOp("AND")) { pos++; node = { op: "and", left: node, right: parseNot() }; }
+    return node;
+  }
+  function parseNot() {
+    if (isOp("NOT")) { pos++; return { op: "not", arg: parseNot() }; }
+    const tok = tokens[pos++];
+    if (!tok) throw new Error("Unexpected end of query");
+    if (tok.type === "tag") return { op: "tag", tag: tok.value };
+    if (tok.type === "(") {
+      const node = parseOr();
+      if (peek()?.type !== ")") throw new Error("Missing )");
+      pos++;
+      return node;
+    }
+    throw new Error(`Unexpected ${tok.type === "op" ? tok.value : tok.type}`);
+  }
+
+  if (!tokens.length) throw new Error("Empty query");
+  const ast = parseOr();
+  if (pos < tokens.length) {
+    const tok = tokens[pos];
+    throw new Error(`Unexpected ${tok.type === "tag" ? `"${tok.value}"` : tok.value || tok.type}`);
+  }
+  return ast;
+}
+
+// Evaluates a parsed query to the set of problem keys it matches (NOT is relative to all problems).
+function evalTagQuery(ast, agg) {
+  switch (ast.op) {
+    case "tag":
+      return new Set(agg.perTagProblemList.get(ast.tag) || []);
+    case "not": {
+      const inner = evalTagQuery(ast.arg, agg);
+      const out = new Set();
+      for (const key of agg.perProblemMeta.keys()) if (!inner.has(key)) out.add(key);
+      return out;
+    }
+    case "and": {
+      const a = evalTagQuery(ast.left, agg), b = evalTagQuery(ast.right, agg);
+      return new Set([...a].filter(k => b.has(k)));
+    }
+    case "or":
+      return new Set([...evalTagQuery(ast.left, agg), ...evalTagQuery(ast.right, agg)]);
+  }
+  return new Set();
+}
+
+function quoteTagForQuery(tag) {
+  return /[\s()&|!'"]/.test(tag) || QUERY_OPERATORS[tag.toLowerCase()] ? `"${tag}"` : tag;
+}
+
+/* -------------- PROBLEM LIST ---------------- */
+const PROBLEM_STATUS_ORDER = [...SOLVE_ORIGINS, "failed", "untouched"];
+const PROBLEM_STATUS_LABELS = {
+  contest: "Contest solve",
+  virtual: "Virtual solve",
+  ooc: "Out-of-competition solve",
+  practice: "Practice solve",
+  failed: "Failed",
+  untouched: "Untouched"
+};
+
+function problemStatus(p) {
+  if (p.solved) return solveOrigin(p) || "practice";
+  if (p.failedContest || p.failedPractice) return "failed";
+  return "untouched";
+}
+
+function problemURL(key) {
+  const { contest, index } = parseProbKey(key);
+  if (/^\d+$/.test(contest)) return `https://codeforces.com/problemset/problem/${contest}/${index}`;
+  if (contest === "PS") return null;
+  return `https://codeforces.com/problemsets/${encodeURIComponent(contest)}/problem/99999/${index}`;
+}
+
+// /problemset/problem/1500/A and /contest/1500/problem/A -> "1500-A"
+function problemKeyFromPath(path) {
+  const m = /^\/(?:problemset\/problem\/(\d+)|contest\/(\d+)\/problem)\/([A-Za-z0-9]+)\/?$/.exec(path);
+  return m ? `${m[1] || m[2]}-${m[3].toUpperCase()}` : null;
+}
+
+// Handle of the logged-in user from the Codeforces header, or null when logged out.
+function loggedInHandle() {
+  const a = document.querySelector('.lang-chooser a[href^="/profile/"]');
+  return a ? decodeURIComponent(a.getAttribute("href").slice("/profile/".length)) : null;
+}
+
+function compareProblems(a, b, sortKey) {
+  switch (sortKey) {
+    case "name":
+      return a.p.name.localeCompare(b.p.name);
+    case "id": {
+      const pa = parseProbKey(a.key), pb = parseProbKey(b.key);
+      return (Number(pa.contest) || 0) - (Number(pb.contest) || 0) || pa.index.localeCompare(pb.index);
+    }
+    case "status":
+      return PROBLEM_STATUS_ORDER.indexOf(problemStatus(a.p)) - PROBLEM_STATUS_ORDER.indexOf(problemStatus(b.p));
+    default:
+      return (effectiveRating(a.key, a.p) || 0) - (effectiveRating(b.key, b.p) || 0);
+  }
+}
+
+// Renders a sortable problem list into `container` and keeps its own sort/filter state.
+function mountProblemList(container, { title, keys, snapshot }) {
+  const items = [];
+  for (const key of keys) {
+    const p = snapshot.problems[key];
+    if (p) items.push({ key, p });
+  }
+  let sortKey = "id";
+  let sortDir = -1;
+  let untouchedOnly = false;
+
+  function render() {
+    const shown = items
+      .filter(it => !untouchedOnly || problemStatus(it.p) === "untouched")
+      .sort((a, b) => sortDir * compareProblems(a, b, sortKey) || a.key.localeCompare(b.key));
+    const arrow = k => k === sortKey ? (sortDir > 0 ? " ▲" : " ▼") : "";
+    const rows = shown.map(({ key, p }) => {
+      const status = problemStatus(p);
+      const url = problemURL(key);
+      const name = escapeHTML(p.name);
+      return `
+        <tr>
+          <td class="cf-td">${url ? `<a href="${url}" target="_blank" rel="noopener">${name}</a>` : name}</td>
+          <td class="cf-td">${escapeHTML(key)}</td>
+          <td class="cf-td num">${ratingCellHTML(key, p)}</td>
+          <td class="cf-td" style="font-size:11px;">${p.tags.map(escapeHTML).join(", ")}</td>
+          <td class="cf-td cf-st-${status}">${PROBLEM_STATUS_LABELS[status]}</td>
+        </tr>
+      `;
+    }).join("");
+    container.innerHTML = `
+      <div class="cf-drill cf-problem-list">
+        <div class="cf-drill-head">
+          <h4 style="margin:0;">${escapeHTML(title)} (${shown.length}/${items.length})</h4>
+          <label style="font-size:12px;"><input type="checkbox" class="cf-untouched-only" ${untouchedOnly ? "checked" : ""}> Untouched only</label>
+        </div>
+        <table class="cf-drill-table">
+          <thead>
+            <tr>
+              <th data-sort="name">Name${arrow("name")}</th>
+              <th data-sort="id">Problem${arrow("id")}</th>
+              <th data-sort="rating">Rating${arrow("rating")}</th>
+              <th>Tags</th>
+              <th data-sort="status">Status${arrow("status")}</th>
+            </tr>
+          </thead>
+          <tbody>${rows || `<tr><td class="cf-td" colspan="5" style="opacity:.6;">No problems.</td></tr>`}</tbody>
+        </table>
+      </div>
+    `;
+    container.querySelectorAll("th[data-sort]").forEach(th => {
+      th.addEventListener("click", () => {
+        const k = th.dataset.sort;
+        if (k === sortKey) sortDir = -sortDir;
+        else { sortKey = k; sortDir = 1; }
+        render();
+      });
+    });
+    container.querySelector(".cf-untouched-only").addEventListener("change", (e) => {
+      untouchedOnly = e.target.checked;
+      render();
+    });
+  }
+  render();
+}
+
 /* -------------- TABLE / SORT --------------- */
-function headerRow() {
+function headerRow(compares) {
   const cols = [
     ["Tag","left"],
     ["Solved","right"],
     ["Total","right"],
+    ["Unrated","right"],
     ["Cov%","right"],
+    ["Rel cov%","right"],
     ["Contest","right"],
+    ["Virtual","right"],
+    ["OOC","right"],
     ["Practice","right"],
     ["Max","right"],
+    ["Skill","right"],
     ["FailBand","right"],
-    ["Next","right"]
+    ["Next","right"],
+    ["Last practised","right"],
+    ["Days since solve","right"],
+    ["1st try%","right"],
+    ["Tries (avg/med)","right"],
+    [`≥${HARD_SOLVE_ATTEMPTS} tries`,"right"],
+    ["Verdicts","left"],
+    ["Languages","left"]
   ];
+  for (const c of compares) {
+    const h = escapeHTML(c.handle);
+    cols.push([`${h} Solved`,"right"], [`${h} Cov%`,"right"], [`${h} Max`,"right"], [`${h} Next`,"right"]);
+  }
   return `<tr>${cols.map(([h,a]) =>
     `<th style="border:1px solid #ddd;padding:4px 6px;text-align:${a};background:#f2f2f2;">${h}</th>`
   ).join("")}</tr>`;
 }
-function rowHTML(stat, selClass) {
+function rowHTML(stat, selClass, compares) {
   const cov = stat.solvePercent * 100;
+  const compareCells = compares.map(c => compareCellsHTML(stat, c.snapshot.tags[stat.tag])).join("");
   return `
     <tr data-tag="${escapeHTML(stat.tag)}" class="cf-tag-row ${selClass}">
       <td class="cf-td">${escapeHTML(stat.tag)}</td>
       <td class="cf-td num">${stat.solved}</td>
       <td class="cf-td num">${formatCount(stat.totalAvailable)}</td>
+      <td class="cf-td num">${stat.unratedTotal
+        ? `<span title="${stat.unratedSolved} of ${stat.unratedTotal} problems without a rating solved (counted in Total)">${stat.unratedSolved}/${stat.unratedTotal}</span>`
+        : "-"}</td>
       <td class="cf-td num">${cov.toFixed(cov >= 10 ? 1 : 2)}</td>
+      <td class="cf-td num">${relevantCoverageCell(stat)}</td>
       <td class="cf-td num">${stat.solvedContest}</td>
+      <td class="cf-td num">${stat.solvedVirtual}</td>
+      <td class="cf-td num">${stat.solvedOoc}</td>
       <td class="cf-td num">${stat.solvedPractice}</td>
       <td class="cf-td num">${stat.maxSolved ?? "-"}</td>
+      <td class="cf-td num">${skillCell(stat)}</td>
       <td class="cf-td num">${failBandCell(stat)}</td>
       <td class="cf-td num">${stat.nextTargetDifficulty ?? "-"}</td>
+      <td class="cf-td num">${formatDate(stat.lastAttemptAt)}</td>
+      <td class="cf-td num">${daysSince(stat.lastSolvedAt) ?? "-"}</td>
+      <td class="cf-td num">${stat.firstTryRate == null ? "-" : (stat.firstTryRate * 100).toFixed(0)}</td>
+      <td class="cf-td num">${stat.meanAttempts == null ? "-" : `${stat.meanAttempts.toFixed(2)} / ${stat.medianAttempts}`}</td>
+      <td class="cf-td num">${stat.hardSolves || "-"}</td>
+      <td class="cf-td">${verdictMixBar(stat.verdictMix)}</td>
+      <td class="cf-td">${languageMixHTML(stat.languageMix)}</td>
+      ${compareCells}
     </tr>
   `;
 }
+// Other handle's value with its delta against this handle (positive = other is ahead).
+function compareCellsHTML(stat, other) {
+  if (!other) return `<td class="cf-td num">-</td>`.repeat(4);
+  const cell = (value, delta, text) => {
+    if (value == null) return `<td class="cf-td num cf-compare-cell">-</td>`;
+    const cls = delta > 0 ? "cf-delta-pos" : delta < 0 ? "cf-delta-neg" : "";
+    const sign = delta > 0 ? "+" : "";
+    return `<td class="cf-td num cf-compare-cell">${text}${delta == null ? "" : ` <span class="${cls}">(${sign}${delta})</span>`}</td>`;
+  };
+  const diff = (a, b) => (a != null && b != null) ? a - b : null;
+  const cov = other.solvePercent * 100;
+  const covDelta = Math.round((other.solvePercent - stat.solvePercent) * 1000) / 10;
+  return (
+    cell(other.solved, diff(other.solved, stat.solved), other.solved) +
+    cell(other.solvePercent, covDelta, cov.toFixed(cov >= 10 ? 1 : 2)) +
+    cell(other.maxSolved, diff(other.maxSolved, stat.maxSolved), other.maxSolved) +
+    cell(other.nextTargetDifficulty, diff(other.nextTargetDifficulty, stat.nextTargetDifficulty), other.nextTargetDifficulty)
+  );
+}
+function skillCell(stat) {
+  if (stat.skill == null) return "-";
+  return `${stat.skill} <span class="cf-skill-ci" title="95% interval">${stat.skillLow}–${stat.skillHigh}</span>`;
+}
+function relevantCoverageCell(stat) {
+  if (stat.relevantCoverage == null) return "-";
+  const rel = stat.relevantCoverage * 100;
+  return `<span title="±${settings.relevantWindow} around ${stat.relevantCenter}: ${stat.relevantSolved}/${stat.relevantTotal}">${rel.toFixed(rel >= 10 ? 1 : 2)}</span>`;
+}
+function skillText(stat) {
+  return stat.skill == null ? "-" : `${stat.skill} (${stat.skillLow}–${stat.skillHigh})`;
+}
 function failBandCell(stat) {
   const a = stat.minFailedDifficulty, b = stat.maxFailedDifficulty;
   if (a == null || b == null) return "-";
@@ -1192,8 +2481,12 @@ function failBandCell(stat) {
 function sortTags(arr, mode) {
   if (mode === "coverage")
     return [...arr].sort((a,b)=> b.solvePercent - a.solvePercent || b.solved - a.solved);
+  if (mode === "relevant")
+    return [...arr].sort((a,b)=> (b.relevantCoverage ?? -1) - (a.relevantCoverage ?? -1) || b.relevantTotal - a.relevantTotal);
   if (mode === "max")
     return [...arr].sort((a,b)=> (b.maxSolved||0) - (a.maxSolved||0) || b.solved - a.solved);
+  if (mode === "skill")
+    return [...arr].sort((a,b)=> (b.skill ?? -Infinity) - (a.skill ?? -Infinity) || (a.skillHigh - a.skillLow) - (b.skillHigh - b.skillLow));
   if (mode === "next")
     return [...arr].sort((a,b)=>{
       const an = a.nextTargetDifficulty ?? Infinity;
@@ -1207,33 +2500,123 @@ function sortTags(arr, mode) {
     return [...arr].sort((a,b)=> (b.maxFailedDifficulty||0) - (a.maxFailedDifficulty||0) || (b.failSpan||0) - (a.failSpan||0));
   if (mode === "failspan")
     return [...arr].sort((a,b)=> (b.failSpan||-1) - (a.failSpan||-1) || (b.maxFailedDifficulty||0) - (a.maxFailedDifficulty||0));
+  // Attempt modes put the sloppiest tags first; tags with no solves go last.
+  if (mode === "firsttry")
+    return [...arr].sort((a,b)=> (a.firstTryRate ?? Infinity) - (b.firstTryRate ?? Infinity) || b.solved - a.solved);
+  if (mode === "attempts")
+    return [...arr].sort((a,b)=> (b.meanAttempts ?? -1) - (a.meanAttempts ?? -1) || b.solved - a.solved);
+  if (mode === "hardwon")
+    return [...arr].sort((a,b)=> b.hardSolves - a.hardSolves || (b.meanAttempts ?? -1) - (a.meanAttempts ?? -1));
   return [...arr].sort((a,b)=> b.solved - a.solved);
 }
 function labelForMode(m) {
   switch(m) {
     case "solved": return "Solved";
     case "coverage": return "Coverage%";
+    case "relevant": return "RelCoverage%";
     case "max": return "MaxDiff";
+    case "skill": return "Skill";
     case "next": return "Next";
     case "recommend": return "Recommend";
     case "failmax": return "FailMax";
     case "failspan": return "FailSpan";
+    case "firsttry": return "FirstTry";
+    case "attempts": return "Attempts";
+    case "hardwon": return `≥${HARD_SOLVE_ATTEMPTS} tries`;
     default: return m;
   }
 }
 
 /* -------------- FETCH UTILS ---------------- */
-async function fetchJSON(url) {
-  const r = await fetch(url);
-  const j = await r.json();
-  if (j.status !== "OK") {
-    console.warn("[TagStats] API error", url, j);
-    return null;
+// kind: "network" | "timeout" | "rate-limit" | "server" | "not-found" | "api" | "parse"
+class CfApiError extends Error {
+  constructor(kind, message, status) {
+    super(message);
+    this.name = "CfApiError";
+    this.kind = kind;
+    this.status = status ?? null;
+  }
+}
+
+const RETRYABLE_API_ERRORS = new Set(["network", "timeout", "rate-limit", "server", "parse"]);
+
+// All API calls go through one queue so we never exceed the Codeforces request rate.
+function throttleApi() {
+  const turn = apiQueue.then(async () => {
+    const wait = apiLastCallAt + API_MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) await sleep(wait);
+    apiLastCallAt = Date.now();
+  });
+  apiQueue = turn;
+  return turn;
+}
+
+// Resolves with the API envelope ({ status: "OK", result }) or throws CfApiError after `retries`.
+async function fetchJSON(url, { retries = API_MAX_RETRIES } = {}) {
+  let lastErr = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const base = API_BACKOFF_BASE_MS * 2 ** (attempt - 1);
+      const delay = (lastErr.kind === "rate-limit" ? base * 2 : base) + Math.random() * 500;
+      await sleep(delay);
+    }
+    await throttleApi();
+    try {
+      return await fetchOnce(url);
+    } catch(e) {
+      lastErr = e instanceof CfApiError ? e : new CfApiError("network", e.message);
+      console.warn(`[TagStats] API call failed (${lastErr.kind}, attempt ${attempt + 1})`, url, lastErr.message);
+      if (!RETRYABLE_API_ERRORS.has(lastErr.kind)) break;
+    }
+  }
+  throw lastErr;
+}
+
+async function fetchOnce(url) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), API_TIMEOUT_MS);
+  let r, j = null;
+  try {
+    r = await fetch(url, { signal: ctrl.signal });
+    try { j = await r.json(); } catch(e) { if (e.name === "AbortError") throw e; }
+  } catch(e) {
+    if (e.name === "AbortError") throw new CfApiError("timeout", `no response after ${API_TIMEOUT_MS / 1000}s`);
+    throw new CfApiError("network", e.message);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (j?.status === "OK") return j;
+  const comment = j?.comment || "";
+  if (r.status === 429 || /limit exceeded/i.test(comment)) throw new CfApiError("rate-limit", comment || "Too many requests", r.status);
+  if (/not found/i.test(comment)) throw new CfApiError("not-found", comment, r.status);
+  if (r.status >= 500) throw new CfApiError("server", comment || `HTTP ${r.status}`, r.status);
+  if (!j) throw new CfApiError("parse", `HTTP ${r.status} with a non-JSON body`, r.status);
+  throw new CfApiError("api", comment || `HTTP ${r.status}`, r.status);
+}
+
+function describeApiError(e) {
+  if (!(e instanceof CfApiError)) return "Unexpected error while building Tag Stats.";
+  switch (e.kind) {
+    case "rate-limit": return "Codeforces API call limit exceeded. Wait a minute and try again.";
+    case "timeout":    return "The Codeforces API did not respond in time.";
+    case "network":    return "Could not reach codeforces.com (network error).";
+    case "server":     return `The Codeforces API is temporarily unavailable (${e.message}).`;
+    case "not-found":  return `Not found on Codeforces: ${e.message}`;
+    case "parse":      return "Unexpected response from the Codeforces API.";
+    default:           return `Codeforces API error: ${e.message}`;
   }
-  return j;
 }
 
 /* -------------- UTIL / STYLES -------------- */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+function formatDate(sec) {
+  return sec == null ? "-" : new Date(sec * 1000).toLocaleDateString();
+}
+function daysSince(sec) {
+  return sec == null ? null : Math.floor((Date.now() - sec * 1000) / 86400000);
+}
 function formatCount(n) {
   if (n >= 1000) {
     const k = n / 1000;
@@ -1301,6 +2684,82 @@ function injectStyles() {
       line-height: 1.3;
     }
     .cf-tag-row { cursor: pointer; }
+    .cf-drill-row { cursor: pointer; }
+    .cf-drill-row:hover { background: #f0f0f0; }
+    .cf-problem-list th[data-sort] { cursor: pointer; user-select: none; }
+    .cf-st-contest { color: #2e8b57; }
+    .cf-st-virtual { color: #8e44ad; }
+    .cf-st-ooc { color: #e67e22; }
+    .cf-st-practice { color: #1976d2; }
+    .cf-st-failed { color: #b00; }
+    .cf-st-untouched { color: #888; }
+
+    /* ───────── Problem page sidebox ───────── */
+    .cf-problem-box-body { padding: 6px 8px; font-size: 12px; }
+    .cf-problem-box-meta { margin-bottom: 4px; }
+    .cf-problem-box-table { width: 100%; border-collapse: collapse; margin-bottom: 6px; }
+    .cf-problem-box-table th, .cf-problem-box-table td { padding: 1px 3px; text-align: left; border-bottom: 1px solid #eee; }
+    .cf-problem-box-sub { font-weight: 600; margin: 4px 0 2px; }
+    .cf-problem-box-list { margin: 0; padding-left: 16px; }
+    .cf-problem-box-dim { opacity: .6; font-size: 11px; }
+
+    /* ───────── Problemset overlay ───────── */
+    .cf-ps-legend { font-size: 11px; opacity: .8; margin: 4px 0; }
+    .cf-lang-mix { white-space: nowrap; margin-right: 4px; }
+    .cf-lang-fail { color: #b00; font-size: 10px; margin-left: 2px; }
+    .cf-verdict-bar { display: inline-flex; vertical-align: middle; border-radius: 2px; overflow: hidden; }
+    .cf-ps-mark { display: inline-flex; gap: 3px; align-items: center; margin-left: 4px; vertical-align: middle; }
+    .cf-ps-badge { font-size: 10px; font-weight: 700; padding: 0 3px; border-radius: 3px; color: #fff; }
+    .cf-ps-contest { background: #2e8b57; }
+    .cf-ps-virtual { background: #8e44ad; }
+    .cf-ps-ooc { background: #e67e22; }
+    .cf-ps-practice { background: #1976d2; }
+    .cf-ps-failed { background: #d55454; }
+    .cf-ps-dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; border: 1px solid rgba(0,0,0,.2); }
+    .cf-ps-row-contest td:first-child { box-shadow: inset 3px 0 0 #2e8b57; }
+    .cf-ps-row-virtual td:first-child { box-shadow: inset 3px 0 0 #8e44ad; }
+    .cf-ps-row-ooc td:first-child { box-shadow: inset 3px 0 0 #e67e22; }
+    .cf-ps-row-practice td:first-child { box-shadow: inset 3px 0 0 #1976d2; }
+    .cf-ps-row-failed td:first-child { box-shadow: inset 3px 0 0 #d55454; }
+    .cf-compare-bar,
+    .cf-query-bar,
+    .cf-range-bar { display: flex; gap: 6px; align-items: center; margin-bottom: 6px; font-size: 12px; }
+    .cf-range-bar input[type=date] { font-size: 12px; }
+    .cf-compare-input { font-size: 12px; padding: 2px 6px; width: 260px; }
+    .cf-stale-badge {
+      background: #f5b642;
+      color: #222;
+      font-size: 10px;
+      font-weight: 600;
+      padding: 1px 6px;
+      border-radius: 8px;
+      text-transform: uppercase;
+    }
+    .cf-est { font-style: italic; color: #777; }
+    .cf-skill-ci { font-size: 10px; color: #888; white-space: nowrap; }
+    .cf-offline-badge {
+      background: #607d8b;
+      color: #fff;
+      font-size: 10px;
+      font-weight: 600;
+      padding: 1px 6px;
+      border-radius: 8px;
+      text-transform: uppercase;
+    }
+    .cf-api-error { color: #b00; font-size: 12px; margin-bottom: 6px; }
+    .cf-storage-warning {
+      background: #fff4e0;
+      border: 1px solid #f5b642;
+      border-radius: 4px;
+      font-size: 12px;
+      padding: 4px 8px;
+      margin-bottom: 6px;
+    }
+    .cf-io-group { display: flex; gap: 4px; align-items: center; font-size: 11px; }
+    .cf-query-input { font-size: 12px; padding: 2px 6px; width: 360px; }
+    .cf-compare-cell { background: #fbfbf4; }
+    .cf-delta-pos { color: #2e8b57; }
+    .cf-delta-neg { color: #b00; }
 
     /* ───────── Circle Bubbles (if still used) ───────── */
     .cf-bubble {
@@ -0,0 +1,88 @@
+// Codeforces Tag Stats – options page
+// ====================================================================
+// The form is generated from SETTINGS_SCHEMA (settings.js); validation and storage are
+// shared with the profile widget through validateSettings / saveSettings.
+
+const optionsForm   = document.getElementById("cf-options-form");
+const optionsStatus = document.getElementById("cf-options-status");
+
+/* --------------- ENTRY ------------------ */
+(async function initOptions() {
+  fillOptionsForm(await loadSettings());
+})();
+
+/* --------------- FORM ------------------- */
+function fillOptionsForm(values) {
+  const groups = [...new Set(SETTINGS_SCHEMA.map(f => f.group))];
+  optionsForm.innerHTML = groups.map(group => `
+    <fieldset>
+      <legend>${group}</legend>
+      ${SETTINGS_SCHEMA.filter(f => f.group === group).map(f => fieldHTML(f, values[f.key])).join("")}
+    </fieldset>`).join("");
+}
+
+function fieldHTML(field, value) {
+  const input = field.type === "verdicts"
+    ? `<div class="cf-options-verdicts">
+        ${FAIL_VERDICT_CHOICES.map(v => `
+          <label><input type="checkbox" name="${field.key}" value="${v}" ${value.includes(v) ? "checked" : ""}> ${v}</label>
+        `).join("")}
+      </div>`
+    : field.type === "choice"
+      ? `<select name="${field.key}">
+          ${field.choices.map(([v, label]) => `<option value="${v}" ${v === value ? "selected" : ""}>${label}</option>`).join("")}
+        </select>`
+      : `<input type="number" name="${field.key}" value="${value}" min="${field.min}" max="${field.max}" step="${field.step ?? 1}">
+         <span class="cf-options-default">default ${DEFAULT_SETTINGS[field.key]}</span>`;
+  return `
+    <div class="cf-options-field" data-key="${field.key}">
+      <label class="cf-options-label">${field.label}</label>
+      ${input}
+      <div class="cf-options-error"></div>
+    </div>`;
+}
+
+function readOptionsForm() {
+  const out = {};
+  for (const field of SETTINGS_SCHEMA) {
+    if (field.type === "verdicts") {
+      out[field.key] = [...optionsForm.querySelectorAll(`input[name="${field.key}"]:checked`)].map(el => el.value);
+    } else {
+      out[field.key] = optionsForm.querySelector(`[name="${field.key}"]`).value;
+    }
+  }
+  return out;
+}
+
+function showFieldErrors(errors) {
+  for (const el of optionsForm.querySelectorAll(".cf-options-field")) {
+    const msg = errors[el.dataset.key] || "";
+    el.classList.toggle("cf-options-invalid", !!msg);
+    el.querySelector(".cf-options-error").textContent = msg;
+  }
+}
+
+function setOptionsStatus(text, isError) {
+  optionsStatus.textContent = text;
+  optionsStatus.className = isError ? "cf-popup-error" : "";
+}
+
+/* --------------- EVENTS ----------------- */
+optionsForm.addEventListener("submit", async e => {
+  e.preventDefault();
+  try {
+    await saveSettings(readOptionsForm());
+    showFieldErrors({});
+    setOptionsStatus("Saved. Reload open profile pages to apply.");
+  } catch(err) {
+    if (!err.fieldErrors) throw err;
+    showFieldErrors(err.fieldErrors);
+    setOptionsStatus("Nothing saved: fix the highlighted fields.", true);
+  }
+});
+
+document.getElementById("cf-options-reset").addEventListener("click", async () => {
+  if (!confirm("Reset all Tag Stats settings to their defaults?")) return;
+  fillOptionsForm(await resetSettings());
+  setOptionsStatus("Defaults restored.");
+});
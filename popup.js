@@ -1,4 +1,147 @@
-document.getElementById("test").addEventListener("click", () => {
-  alert("Popup working!");
+// Codeforces Tag Stats – toolbar popup
+// ====================================================================
+// Runs after storage.js, settings.js, analytics.js and cf.js, so it reads the same snapshot cache
+// (getSnapshot / loadSnapshot) and the same aggregation (aggFromSnapshot, sortTags) as the profile page.
+// The default handle is kept in chrome.storage.sync.
+
+/* ---------------- CONFIG ---------------- */
+const POPUP_WEAK_TAGS = 5;
+const POPUP_DEFAULT_HANDLE_KEY = "defaultHandle";
+
+const popupForm    = document.getElementById("cf-popup-form");
+const popupInput   = document.getElementById("cf-popup-handle");
+const popupDefault = document.getElementById("cf-popup-default");
+const popupStatus  = document.getElementById("cf-popup-status");
+const popupBody    = document.getElementById("cf-popup-body");
+const popupRefresh = document.getElementById("cf-popup-refresh");
+const popupOpen    = document.getElementById("cf-popup-open");
+
+let popupHandle = null;
+let defaultHandle = null;
+
+/* --------------- ENTRY ------------------ */
+(async function initPopup() {
+  await loadSettings();
+  const stored = await chrome.storage.sync.get(POPUP_DEFAULT_HANDLE_KEY);
+  defaultHandle = stored[POPUP_DEFAULT_HANDLE_KEY] || null;
+  // A profile open in the current tab wins over the remembered default.
+  const handle = (await activeTabProfileHandle()) || defaultHandle;
+  document.addEventListener(STORAGE_WARNING_EVENT, e => setPopupStatus(e.detail.message, true));
+  if (handle) {
+    popupInput.value = handle;
+    showHandle(handle, false);
+  } else {
+    setPopupStatus("Enter a handle to see its tag stats.");
+  }
+})();
+
+async function activeTabProfileHandle() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const m = tab?.url && /^https:\/\/codeforces\.com\/profile\/([^/?#]+)/.exec(tab.url);
+    return m ? decodeURIComponent(m[1]) : null;
+  } catch { return null; }
+}
+
+/* --------------- EVENTS ----------------- */
+popupForm.addEventListener("submit", e => {
+  e.preventDefault();
+  const handle = popupInput.value.trim();
+  if (handle) showHandle(handle, false);
+});
+popupDefault.addEventListener("click", async () => {
+  const handle = popupInput.value.trim();
+  if (!handle) return;
+  defaultHandle = handle === defaultHandle ? null : handle;
+  if (defaultHandle) await chrome.storage.sync.set({ [POPUP_DEFAULT_HANDLE_KEY]: defaultHandle });
+  else await chrome.storage.sync.remove(POPUP_DEFAULT_HANDLE_KEY);
+  syncDefaultButton();
 });
+popupInput.addEventListener("input", syncDefaultButton);
+popupRefresh.addEventListener("click", () => {
+  if (popupHandle) showHandle(popupHandle, true);
+});
+document.getElementById("cf-popup-options").addEventListener("click", () => chrome.runtime.openOptionsPage());
+popupOpen.addEventListener("click", () => {
+  if (popupHandle) chrome.tabs.create({ url: `https://codeforces.com/profile/${encodeURIComponent(popupHandle)}` });
+});
+
+/* --------------- LOAD ------------------- */
+async function showHandle(handle, refresh) {
+  popupHandle = handle;
+  popupRefresh.disabled = true;
+  popupOpen.disabled = false;
+  syncDefaultButton();
+  setPopupStatus(refresh ? "Refreshing…" : "Loading…");
+  try {
+    const snapshot = await getSnapshot(handle, { refresh });
+    if (handle !== popupHandle) return;
+    renderPopup(snapshot);
+    setPopupStatus("");
+  } catch(e) {
+    if (handle !== popupHandle) return;
+    const cached = await loadSnapshot(snapshotKey(handle), { allowExpired: true });
+    if (cached) renderPopup(cached);
+    else popupBody.innerHTML = "";
+    setPopupStatus(describeApiError(e) + (cached ? " Showing cached data." : ""), true);
+  } finally {
+    if (handle === popupHandle) popupRefresh.disabled = false;
+  }
+}
+
+/* --------------- RENDER ----------------- */
+function renderPopup(snapshot) {
+  const agg = aggFromSnapshot(snapshot);
+  const total = agg.perProblemMeta.size;
+  const byOrigin = Object.fromEntries(SOLVE_ORIGINS.map(o => [o, 0]));
+  for (const key of agg.solvedProblems) byOrigin[solveOrigin(agg.perProblemOrigin.get(key)) || "practice"]++;
+  const weak = sortTags(agg.tagArray, "recommend").slice(0, POPUP_WEAK_TAGS);
+  const user = snapshot.user;
+  const stale = isSnapshotExpired(snapshot);
+
+  popupBody.innerHTML = `
+    <div class="cf-popup-head">
+      <b>${escapeHTML(snapshot.handle)}</b>
+      ${user?.rating != null ? `<span>${user.rating} (max ${user.maxRating ?? "-"})</span>` : ""}
+    </div>
+    <div class="cf-popup-totals">
+      Solved <b>${agg.solvedProblems.size}</b> / ${formatCount(total)}
+      (${total ? (agg.solvedProblems.size / total * 100).toFixed(1) : "0.0"}%)
+      · ${SOLVE_ORIGINS.map(o => `${SOLVE_ORIGIN_LABELS[o].toLowerCase()} ${byOrigin[o]}`).join(" · ")}
+      · ${agg.tagArray.length} tags
+    </div>
+    <div class="cf-popup-age ${stale ? "cf-popup-stale" : ""}">
+      Cached ${formatAge(snapshot.generatedAt)}${stale ? " (stale)" : ""}
+    </div>
+    <table class="cf-popup-table">
+      <thead><tr><th>Weakest tags</th><th>Coverage</th><th>Max</th><th>Next</th></tr></thead>
+      <tbody>
+        ${weak.map(t => `
+          <tr>
+            <td>${escapeHTML(t.tag)}</td>
+            <td>${(t.solvePercent * 100).toFixed(1)}% <span class="cf-popup-dim">${t.solved}/${t.totalAvailable}</span></td>
+            <td>${t.maxSolved || "-"}</td>
+            <td>${t.nextTargetDifficulty ?? "-"}</td>
+          </tr>`).join("")}
+      </tbody>
+    </table>`;
+}
+
+function formatAge(iso) {
+  const mins = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (mins < 1) return "just now";
+  if (mins < 60) return `${mins} min ago`;
+  const hours = Math.round(mins / 60);
+  return hours < 48 ? `${hours} h ago` : `${Math.round(hours / 24)} days ago`;
+}
+
+function setPopupStatus(text, isError) {
+  popupStatus.textContent = text;
+  popupStatus.classList.toggle("cf-popup-error", !!isError);
+}
 
+function syncDefaultButton() {
+  const isDefault = !!defaultHandle && popupInput.value.trim() === defaultHandle;
+  popupDefault.innerHTML = isDefault ? "&#9733;" : "&#9734;";
+  popupDefault.title = isDefault ? "Default handle (click to forget)" : "Open this handle whenever the popup opens";
+}
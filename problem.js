@@ -0,0 +1,111 @@
+// Codeforces Tag Stats – problem page sidebox
+// ====================================================================
+// Runs on /problemset/problem/* and /contest/*/problem/* after storage.js, settings.js,
+// analytics.js and cf.js. Reads the logged-in user's cached snapshot (never fetches it; only the
+// contest list, when unrated estimates are on) and shows, for each tag of the open problem,
+// coverage / max solved / skill / FailBand, plus a few unsolved problems from the same tag
+// intersection at nearby ratings (estimated ratings, marked "~", when enabled).
+
+/* ---------------- CONFIG ---------------- */
+const SIMILAR_COUNT = 5;
+const SIMILAR_RATING_WINDOW = 200;   // doubled once when nothing is found in range
+
+/* --------------- ENTRY ------------------ */
+(async function initProblemBox() {
+  const key = problemKeyFromPath(location.pathname);
+  const sidebar = document.getElementById("sidebar");
+  if (!key || !sidebar || document.getElementById("cf-problem-box")) return;
+  const handle = loggedInHandle();
+  if (!handle) return;   // nothing to show for anonymous visitors
+
+  await loadSettings();
+  injectStyles();
+  const box = document.createElement("div");
+  box.id = "cf-problem-box";
+  box.className = "roundbox sidebox borderTopRound";
+  box.innerHTML = `<div class="caption titled">→ Tag Stats</div><div class="cf-problem-box-body">Loading…</div>`;
+  const after = sidebar.querySelector(".sidebox");
+  sidebar.insertBefore(box, after ? after.nextSibling : sidebar.firstChild);
+
+  const snapshot = await loadSnapshot(snapshotKey(handle), { allowExpired: true });
+  const body = box.querySelector(".cf-problem-box-body");
+  if (!snapshot) {
+    body.innerHTML = `No Tag Stats snapshot for ${escapeHTML(handle)} yet.
+       <a href="/profile/${encodeURIComponent(handle)}">Open your profile</a> to build one.`;
+    return;
+  }
+  await loadContestNames(() => { body.innerHTML = problemBoxHTML(key, snapshot); });
+  body.innerHTML = problemBoxHTML(key, snapshot);
+})();
+
+// Tags come from the snapshot; problems newer than the cached problemset fall back to the page.
+function problemTags(key, snapshot) {
+  const p = snapshot.problems[key];
+  if (p) return { tags: p.tags, rating: p.rating };
+  const boxes = [...document.querySelectorAll(".tag-box")].map(el => el.textContent.trim());
+  const ratingTag = boxes.find(t => /^\*\d+$/.test(t));
+  return { tags: boxes.filter(t => !t.startsWith("*")), rating: ratingTag ? Number(ratingTag.slice(1)) : null };
+}
+
+/* --------------- RENDER ----------------- */
+function problemBoxHTML(key, snapshot) {
+  const agg = aggFromSnapshot(snapshot);
+  const { tags, rating } = problemTags(key, snapshot);
+  const p = snapshot.problems[key];
+  const status = p ? problemStatus(p) : "untouched";
+  const stats = new Map(agg.tagArray.map(t => [t.tag, t]));
+
+  const rows = tags.map(tag => {
+    const t = stats.get(tag);
+    if (!t) return `<tr><td>${escapeHTML(tag)}</td><td colspan="4" class="cf-st-untouched">no data</td></tr>`;
+    return `
+      <tr>
+        <td>${escapeHTML(tag)}</td>
+        <td style="color:${coverageColor(t.solvePercent)};">${(t.solvePercent * 100).toFixed(1)}%</td>
+        <td>${t.maxSolved || "-"}</td>
+        <td title="${t.skill == null ? "" : `95% interval ${t.skillLow}–${t.skillHigh}`}">${t.skill ?? "-"}</td>
+        <td>${failBandCell(t)}</td>
+      </tr>`;
+  }).join("");
+
+  const similar = similarUnsolved(key, tags, rating ?? estimatedRating(key, p) ?? snapshot.user?.rating ?? null, agg, snapshot);
+  return `
+    <div class="cf-problem-box-meta">
+      <span class="cf-st-${status}">${PROBLEM_STATUS_LABELS[status]}</span>
+      ${rating == null && estimatedRating(key, p) ? ` · ${ratingCellHTML(key, p)}` : ""}
+      · ${escapeHTML(snapshot.handle)} · cached ${new Date(snapshot.generatedAt).toLocaleDateString()}
+    </div>
+    ${tags.length ? `
+      <table class="cf-problem-box-table">
+        <thead><tr><th>Tag</th><th>Cov</th><th>Max</th><th>Skill</th><th>FailBand</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : `<div class="cf-st-untouched">This problem has no tags.</div>`}
+    <div class="cf-problem-box-sub">Similar unsolved${tags.length > 1 ? " (all tags)" : ""}</div>
+    ${similar.length ? `<ul class="cf-problem-box-list">
+      ${similar.map(({ key: k, p: sp }) => {
+        const url = problemURL(k);
+        const name = escapeHTML(sp.name);
+        return `<li>
+          ${url ? `<a href="${url}">${name}</a>` : name}
+          <span class="cf-problem-box-dim">${ratingCellHTML(k, sp)}${sp.failedContest || sp.failedPractice ? " · failed" : ""}</span>
+        </li>`;
+      }).join("")}
+    </ul>` : `<div class="cf-st-untouched">None near this rating.</div>`}`;
+}
+
+// Unsolved problems carrying every tag of `key`, closest in rating first.
+function similarUnsolved(key, tags, rating, agg, snapshot) {
+  if (!tags.length) return [];
+  const pool = [...intersectTagProblems(tags, agg)]
+    .filter(k => k !== key && !snapshot.problems[k].solved)
+    .map(k => ({ key: k, p: snapshot.problems[k], r: effectiveRating(k, snapshot.problems[k]) }))
+    .filter(c => c.r);
+  if (rating == null) return pool.sort((a, b) => a.r - b.r).slice(0, SIMILAR_COUNT);
+  for (const span of [SIMILAR_RATING_WINDOW, SIMILAR_RATING_WINDOW * 2]) {
+    const near = pool
+      .filter(c => Math.abs(c.r - rating) <= span)
+      .sort((a, b) => Math.abs(a.r - rating) - Math.abs(b.r - rating) || a.r - b.r);
+    if (near.length) return near.slice(0, SIMILAR_COUNT);
+  }
+  return [];
+}
@@ -0,0 +1,66 @@
+// Codeforces Tag Stats – problemset listing overlay
+// ====================================================================
+// Runs on /problemset (all pages and filters) after storage.js, settings.js, analytics.js
+// and cf.js. Each row of table.problems gets the logged-in user's status from the cached
+// snapshot (contest / virtual / out-of-competition / practice solve, failed, untouched) as a
+// coloured edge and badge, and a dot coloured by the weakest coverage among the problem's tags.
+
+/* ---------------- CONFIG ---------------- */
+const PROBLEMSET_BADGES = { ...SOLVE_ORIGIN_SHORT, failed: "✗" };
+
+/* --------------- ENTRY ------------------ */
+(async function initProblemsetOverlay() {
+  const table = document.querySelector("table.problems");
+  const handle = loggedInHandle();
+  if (!table || !handle || table.dataset.cfTagStats) return;
+  table.dataset.cfTagStats = "1";
+
+  await loadSettings();
+  const snapshot = await loadSnapshot(snapshotKey(handle), { allowExpired: true });
+  if (!snapshot) return;
+  injectStyles();
+  annotateProblemRows(table, snapshot);
+
+  const legend = document.createElement("div");
+  legend.className = "cf-ps-legend";
+  legend.innerHTML = `
+    Tag Stats (${escapeHTML(snapshot.handle)}, cached ${new Date(snapshot.generatedAt).toLocaleDateString()}):
+    ${[...SOLVE_ORIGINS, "failed"].map(s =>
+      `<span class="cf-ps-badge cf-ps-${s}">${PROBLEMSET_BADGES[s]}</span> ${PROBLEM_STATUS_LABELS[s]}`
+    ).join(" · ")}
+    · <span class="cf-ps-dot" style="background:${coverageColor(0.2)};"></span> weakest tag coverage`;
+  table.parentNode.insertBefore(legend, table);
+})();
+
+function annotateProblemRows(table, snapshot) {
+  for (const row of table.querySelectorAll("tr")) {
+    const link = row.querySelector("td.id a");
+    const key = link && problemKeyFromPath(new URL(link.href, location.origin).pathname);
+    if (!key) continue;
+    const p = snapshot.problems[key];
+    const status = p ? problemStatus(p) : "untouched";
+    // Problems newer than the cached problemset: take the tags from the row itself.
+    const tags = p ? p.tags : [...row.querySelectorAll("a.notice")].map(a => a.textContent.trim());
+    const weakest = weakestTagCoverage(tags, snapshot);
+
+    row.classList.add(`cf-ps-row-${status}`);
+    const cell = row.querySelector("td.id");
+    const mark = document.createElement("span");
+    mark.className = "cf-ps-mark";
+    mark.innerHTML = `
+      ${status !== "untouched" ? `<span class="cf-ps-badge cf-ps-${status}" title="${PROBLEM_STATUS_LABELS[status]}">${PROBLEMSET_BADGES[status]}</span>` : ""}
+      ${weakest ? `<span class="cf-ps-dot" style="background:${coverageColor(weakest.solvePercent)};"
+        title="Weakest tag: ${escapeHTML(weakest.tag)} (${(weakest.solvePercent * 100).toFixed(1)}% covered)"></span>` : ""}`;
+    cell.appendChild(mark);
+  }
+}
+
+// Lowest-coverage tag of a problem according to the snapshot, or null if none is known.
+function weakestTagCoverage(tags, snapshot) {
+  let best = null;
+  for (const tag of tags) {
+    const t = snapshot.tags[tag];
+    if (t && (!best || t.solvePercent < best.solvePercent)) best = { tag, solvePercent: t.solvePercent };
+  }
+  return best;
+}
@@ -0,0 +1,157 @@
+// Codeforces Tag Stats – user settings
+// ====================================================================
+// Loaded before cf.js on profile pages, in the popup and on the options page. `settings`
+// starts at the defaults and is replaced by loadSettings() from chrome.storage.sync; the
+// profile widget reads it once at boot. SETTINGS_SCHEMA drives both validation and the
+// options form.
+
+/* ---------------- CONFIG ---------------- */
+const SETTINGS_STORAGE_KEY = "settings";
+
+// Every verdict user.status can report; OK and TESTING can never count as failures.
+const ALL_VERDICTS = [
+  "FAILED","OK","PARTIAL","COMPILATION_ERROR","RUNTIME_ERROR","WRONG_ANSWER","PRESENTATION_ERROR",
+  "TIME_LIMIT_EXCEEDED","MEMORY_LIMIT_EXCEEDED","IDLENESS_LIMIT_EXCEEDED","SECURITY_VIOLATED",
+  "CRASHED","INPUT_PREPARATION_CRASHED","CHALLENGED","SKIPPED","TESTING","REJECTED"
+];
+const FAIL_VERDICT_CHOICES = ALL_VERDICTS.filter(v => v !== "OK" && v !== "TESTING");
+
+const DEFAULT_SETTINGS = Object.freeze({
+  maxRows: 50,
+  cacheTtlHours: 6,
+  recommendWeightCoverageGap: 0.55,
+  recommendWeightRelevantGap: 0,   // opt-in, so existing recommendations do not shift
+  recommendWeightNextDiff: 0.30,
+  recommendWeightSolved: 0.15,
+  relevantWindow: 300,
+  relevantCenter: "rating",
+  estimateUnrated: "off",
+  bubbleWidth: 1000,
+  bubbleHeight: 600,
+  bubblePadding: 4,
+  bubbleIterations: 500,
+  graphWidth: 900,
+  graphHeight: 340,
+  failVerdicts: [
+    "WRONG_ANSWER","TIME_LIMIT_EXCEEDED","RUNTIME_ERROR","MEMORY_LIMIT_EXCEEDED",
+    "IDLENESS_LIMIT_EXCEEDED","REJECTED","FAILED","PRESENTATION_ERROR","CHALLENGED",
+    "PARTIAL","COMPILATION_ERROR","CRASHED","SKIPPED"
+  ]
+});
+
+// type: "int" | "number" | "verdicts" | "choice" (choices: [value, label] pairs)
+const SETTINGS_SCHEMA = [
+  { key: "maxRows",                    group: "Table",          label: "Tags shown in the table",        type: "int",    min: 5,   max: 500 },
+  { key: "cacheTtlHours",              group: "Cache",          label: "Snapshot lifetime (hours)",      type: "number", min: 0.25, max: 168, step: 0.25 },
+  { key: "recommendWeightCoverageGap", group: "Recommendation", label: "Weight: coverage gap",           type: "number", min: 0,   max: 1,    step: 0.05 },
+  { key: "recommendWeightRelevantGap", group: "Recommendation", label: "Weight: relevant coverage gap",  type: "number", min: 0,   max: 1,    step: 0.05 },
+  { key: "recommendWeightNextDiff",    group: "Recommendation", label: "Weight: next target distance",   type: "number", min: 0,   max: 1,    step: 0.05 },
+  { key: "recommendWeightSolved",      group: "Recommendation", label: "Weight: solved count / max",     type: "number", min: 0,   max: 1,    step: 0.05 },
+  { key: "relevantWindow",             group: "Relevant coverage", label: "Rating window (±)",          type: "int",    min: 0,   max: 2000, step: 50 },
+  { key: "relevantCenter",             group: "Relevant coverage", label: "Centred on",                 type: "choice",
+    choices: [["rating", "Your current rating (else the tag's max solved)"], ["maxSolved", "The tag's max solved (else your rating)"]] },
+  { key: "estimateUnrated",            group: "Unrated problems", label: "Difficulty of unrated problems", type: "choice",
+    choices: [["off", "Leave them unrated"], ["contest", "Estimate from contest division and problem letter (shown as ~1900)"]] },
+  { key: "bubbleWidth",                group: "Bubbles",        label: "Width (px)",                     type: "int",    min: 300, max: 3000 },
+  { key: "bubbleHeight",               group: "Bubbles",        label: "Height (px)",                    type: "int",    min: 200, max: 2000 },
+  { key: "bubblePadding",              group: "Bubbles",        label: "Padding (px)",                   type: "int",    min: 0,   max: 40 },
+  { key: "bubbleIterations",           group: "Bubbles",        label: "Layout iterations",              type: "int",    min: 10,  max: 5000 },
+  { key: "graphWidth",                 group: "Graphs",         label: "Width (px)",                     type: "int",    min: 300, max: 3000 },
+  { key: "graphHeight",                group: "Graphs",         label: "Height (px)",                    type: "int",    min: 200, max: 2000 },
+  { key: "failVerdicts",               group: "Failures",       label: "Verdicts that count as a failed attempt", type: "verdicts" }
+];
+
+const RECOMMEND_WEIGHT_KEYS = [
+  "recommendWeightCoverageGap", "recommendWeightRelevantGap", "recommendWeightNextDiff", "recommendWeightSolved"
+];
+
+let settings = { ...DEFAULT_SETTINGS };
+
+/* -------------- LOAD / SAVE -------------- */
+// Stored values that no longer validate (older versions, hand edits) fall back to defaults.
+async function loadSettings() {
+  try {
+    const got = await chrome.storage.sync.get(SETTINGS_STORAGE_KEY);
+    const stored = got[SETTINGS_STORAGE_KEY];
+    const { values, errors } = validateSettings({ ...DEFAULT_SETTINGS, ...stored });
+    if (Object.keys(errors).length) console.warn("[TagStats] Ignoring invalid settings", errors);
+    settings = values;
+  } catch(e) {
+    console.warn("[TagStats] Could not load settings", e);
+    settings = { ...DEFAULT_SETTINGS };
+  }
+  return settings;
+}
+
+// Throws with the per-field errors when `input` does not validate; nothing is stored then.
+async function saveSettings(input) {
+  const { values, errors } = validateSettings(input);
+  if (Object.keys(errors).length) {
+    const err = new Error("Invalid settings");
+    err.fieldErrors = errors;
+    throw err;
+  }
+  await chrome.storage.sync.set({ [SETTINGS_STORAGE_KEY]: values });
+  settings = values;
+  return values;
+}
+
+async function resetSettings() {
+  await chrome.storage.sync.remove(SETTINGS_STORAGE_KEY);
+  settings = { ...DEFAULT_SETTINGS };
+  return settings;
+}
+
+/* -------------- VALIDATION --------------- */
+// Returns { values, errors }: values has every key (invalid ones replaced by defaults),
+// errors maps key -> message.
+function validateSettings(input) {
+  const values = {}, errors = {};
+  for (const field of SETTINGS_SCHEMA) {
+    const raw = input?.[field.key];
+    const error = field.type === "verdicts" ? validateVerdicts(raw)
+      : field.type === "choice" ? validateChoice(raw, field)
+      : validateNumber(raw, field);
+    if (error) {
+      errors[field.key] = error;
+      values[field.key] = DEFAULT_SETTINGS[field.key];
+    } else {
+      values[field.key] = field.type === "verdicts" ? [...new Set(raw)] : field.type === "choice" ? raw : Number(raw);
+    }
+  }
+  const weightSum = RECOMMEND_WEIGHT_KEYS.reduce((s, k) => s + values[k], 0);
+  if (!RECOMMEND_WEIGHT_KEYS.some(k => errors[k]) && Math.abs(weightSum - 1) > 0.001) {
+    for (const k of RECOMMEND_WEIGHT_KEYS) {
+      errors[k] = `Recommendation weights must add up to 1 (now ${weightSum.toFixed(2)}).`;
+      values[k] = DEFAULT_SETTINGS[k];
+    }
+  }
+  return { values, errors };
+}
+
+function validateNumber(raw, { type, min, max }) {
+  if (raw === "" || raw == null) return "Required.";
+  const n = Number(raw);
+  if (!Number.isFinite(n)) return "Not a number.";
+  if (type === "int" && !Number.isInteger(n)) return "Must be a whole number.";
+  if (n < min || n > max) return `Must be between ${min} and ${max}.`;
+  return null;
+}
+
+function validateChoice(raw, { choices }) {
+  return choices.some(([value]) => value === raw) ? null : "Pick one of the options.";
+}
+
+function validateVerdicts(raw) {
+  if (!Array.isArray(raw)) return "Must be a list of verdicts.";
+  const unknown = raw.filter(v => !FAIL_VERDICT_CHOICES.includes(v));
+  if (unknown.length) return `Unknown verdict: ${unknown.join(", ")}.`;
+  if (!raw.length) return "Pick at least one verdict.";
+  return null;
+}
+
+/* -------------- NODE EXPORTS --------------- */
+// analytics.js falls back to these defaults when loaded outside the extension.
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { DEFAULT_SETTINGS, validateSettings };
+}
@@ -0,0 +1,355 @@
+// Codeforces Tag Stats – persistent storage
+// ====================================================================
+// Loaded before cf.js (content scripts share one global scope). Everything lives in
+// chrome.storage.local under the "cfts:" namespace:
+//   cfts:index            -> { [key]: { size } }  (budget bookkeeping)
+//   cfts:used:<key>       -> last read / write time (LRU); its own key so reads never rewrite the index
+//   cfts:<key>            -> compact-encoded value (see encodeCompact)
+// Keys used by cf.js: "snapshot:<handle>", "history:<handle>", "problemset", "contests".
+//
+// When the total would exceed STORAGE_BUDGET_BYTES, least recently used snapshots of other
+// handles are evicted first (they can be refetched), then their histories. Anything that
+// still cannot be stored is reported through reportStorageWarning(). Index updates run one at a
+// time per page (withStorageIndex); two pages writing at the same moment can still drop each
+// other's index entry, which only leaves that entry's size uncounted until it is written again.
+//
+// Snapshots are upgraded through SNAPSHOT_MIGRATIONS instead of being discarded; data an old
+// version never recorded is filled with null and gets rebuilt on the next refresh.
+
+/* ---------------- CONFIG ---------------- */
+const STORAGE_NAMESPACE = "cfts:";
+const STORAGE_INDEX_KEY = STORAGE_NAMESPACE + "index";
+const STORAGE_USED_PREFIX = STORAGE_NAMESPACE + "used:";
+const STORAGE_LEGACY_FLAG = STORAGE_NAMESPACE + "legacyMigrated";
+// Our own cap: the manifest asks for unlimitedStorage, so Chrome's 10 MB quota does not apply and
+// a long submission history still fits, but compared handles should not pile up without bound.
+const STORAGE_BUDGET_BYTES = 8 * 1024 * 1024;
+const STORAGE_WARNING_EVENT = "cftagstats:storage-warning";
+const COMPACT_MIN_ROWS = 8;                      // smaller collections are not worth a column header
+
+let storageReady = null;
+let storageIndexQueue = Promise.resolve();
+let lastStorageWarning = null;
+
+/* -------------- PUBLIC API --------------- */
+async function storageLoad(key) {
+  await ensureStorage();
+  const full = STORAGE_NAMESPACE + key;
+  const got = await chrome.storage.local.get(full);
+  if (!(full in got)) return null;
+  await chrome.storage.local.set({ [STORAGE_USED_PREFIX + key]: Date.now() });
+  return decodeCompact(got[full]);
+}
+
+// Returns false (and raises a warning) when the value could not be stored.
+async function storageSave(key, value) {
+  await ensureStorage();
+  return writeEntry(key, value);
+}
+
+async function writeEntry(key, value) {
+  const encoded = encodeCompact(value);
+  const size = storedBytes(key, encoded);
+  if (size > STORAGE_BUDGET_BYTES) {
+    reportStorageWarning(`Could not cache ${describeStorageKey(key)}: it is too large (${formatBytes(size)}).`);
+    return false;
+  }
+  return withStorageIndex(async () => {
+    const index = await loadStorageIndex();
+    const evicted = evictForSpace(index, await loadUsedTimes(index), key, size);
+    try {
+      if (evicted.length) await chrome.storage.local.remove(evicted.flatMap(storageEntryKeys));
+      index[key] = { size };
+      await chrome.storage.local.set({
+        [STORAGE_NAMESPACE + key]: encoded,
+        [STORAGE_USED_PREFIX + key]: Date.now(),
+        [STORAGE_INDEX_KEY]: index
+      });
+    } catch(e) {
+      console.error("[TagStats] Storage write failed", key, e);
+      reportStorageWarning(`Could not cache ${describeStorageKey(key)}: ${e.message}`);
+      return false;
+    }
+    if (evicted.length) console.log("[TagStats] Evicted from cache:", evicted.join(", "));
+    return true;
+  });
+}
+
+async function storageRemove(key) {
+  await ensureStorage();
+  await withStorageIndex(async () => {
+    const index = await loadStorageIndex();
+    delete index[key];
+    await chrome.storage.local.remove(storageEntryKeys(key));
+    await chrome.storage.local.set({ [STORAGE_INDEX_KEY]: index });
+  });
+}
+
+async function storageUsage() {
+  await ensureStorage();
+  const index = await loadStorageIndex();
+  const used = Object.values(index).reduce((n, e) => n + e.size, 0);
+  return { used, budget: STORAGE_BUDGET_BYTES, entries: Object.keys(index).length };
+}
+
+function reportStorageWarning(message) {
+  lastStorageWarning = { message, at: Date.now() };
+  console.warn("[TagStats]", message);
+  document.dispatchEvent(new CustomEvent(STORAGE_WARNING_EVENT, { detail: lastStorageWarning }));
+}
+
+/* -------------- LRU ---------------------- */
+// Runs `fn` (a read-modify-write of the index) after every earlier one on this page has finished.
+function withStorageIndex(fn) {
+  const run = storageIndexQueue.then(fn);
+  storageIndexQueue = run.catch(() => {});
+  return run;
+}
+
+async function loadStorageIndex() {
+  const got = await chrome.storage.local.get(STORAGE_INDEX_KEY);
+  return got[STORAGE_INDEX_KEY] || {};
+}
+
+// key -> last use; indexes written before cfts:used:* existed kept it as index[key].usedAt.
+async function loadUsedTimes(index) {
+  const keys = Object.keys(index);
+  const got = keys.length ? await chrome.storage.local.get(keys.map(k => STORAGE_USED_PREFIX + k)) : {};
+  return Object.fromEntries(keys.map(k => [k, got[STORAGE_USED_PREFIX + k] ?? index[k].usedAt ?? 0]));
+}
+
+function storageEntryKeys(key) {
+  return [STORAGE_NAMESPACE + key, STORAGE_USED_PREFIX + key];
+}
+
+// Picks keys to drop so `size` more bytes fit; mutates `index`. Entries of the handle being
+// written and the shared problemset / contest list are never evicted.
+function evictForSpace(index, usedAt, key, size) {
+  let used = Object.entries(index).reduce((n, [k, e]) => n + (k === key ? 0 : e.size), 0);
+  if (used + size <= STORAGE_BUDGET_BYTES) return [];
+  const owner = storageKeyHandle(key);
+  const rank = k => k.startsWith("snapshot:") ? 0 : 1;
+  const candidates = Object.keys(index)
+    .filter(k => k !== key && k !== "problemset" && k !== "contests" && storageKeyHandle(k) !== owner)
+    .sort((a, b) => (rank(a) - rank(b)) || (usedAt[a] - usedAt[b]));
+  const evicted = [];
+  for (const k of candidates) {
+    if (used + size <= STORAGE_BUDGET_BYTES) break;
+    used -= index[k].size;
+    delete index[k];
+    evicted.push(k);
+  }
+  if (used + size > STORAGE_BUDGET_BYTES) {
+    reportStorageWarning(`Cache is full (${formatBytes(used)} used); older data for ${describeStorageKey(key)} may be lost.`);
+  }
+  return evicted;
+}
+
+function storageKeyHandle(key) {
+  const i = key.indexOf(":");
+  return i < 0 ? null : key.slice(i + 1);
+}
+function describeStorageKey(key) {
+  const handle = storageKeyHandle(key);
+  if (key.startsWith("snapshot:")) return `the snapshot of ${handle}`;
+  if (key.startsWith("history:")) return `the history of ${handle}`;
+  return `the ${key}`;
+}
+// Bytes as chrome.storage counts them: the key plus the value's JSON, UTF-8 encoded.
+function storedBytes(key, value) {
+  return new TextEncoder().encode(STORAGE_NAMESPACE + key + JSON.stringify(value)).length;
+}
+function formatBytes(n) {
+  return n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`;
+}
+
+/* -------------- MIGRATIONS --------------- */
+// SNAPSHOT_MIGRATIONS[v] upgrades a stored snapshot from version v to v + 1.
+const SNAPSHOT_MIGRATIONS = {
+  // v3: user rating info, first-AC / last-attempt times.
+  2(snap) {
+    snap.user ??= null;
+    for (const p of Object.values(snap.problems)) {
+      p.firstAcAt ??= null;
+      p.lastAttemptAt ??= null;
+    }
+    for (const t of Object.values(snap.tags)) {
+      t.lastAttemptAt ??= null;
+      t.lastSolvedAt ??= null;
+    }
+    return snap;
+  },
+  // v4: slim submission list (date ranges, incremental refresh); refetched on next refresh.
+  3(snap) {
+    snap.submissions ??= null;
+    snap.lastSubmissionId ??= null;
+    return snap;
+  },
+  // v5: per-problem failure verdict counts, recounted from the stored submissions.
+  4(snap) {
+    const failVerdicts = new Set(settings.failVerdicts);
+    for (const p of Object.values(snap.problems)) p.verdicts = {};
+    for (const s of snap.submissions || []) {
+      if (!failVerdicts.has(s.verdict)) continue;
+      const p = snap.problems[typeof s.problem === "string" ? s.problem : probKey(s.problem)];
+      if (p) p.verdicts[s.verdict] = (p.verdicts[s.verdict] || 0) + 1;
+    }
+    return snap;
+  },
+  // v6: rejected attempts before the first AC, replayed from the stored submissions in order.
+  5(snap) {
+    const failVerdicts = new Set(settings.failVerdicts);
+    for (const p of Object.values(snap.problems)) p.rejectedBeforeAc = 0;
+    const ordered = [...(snap.submissions || [])].sort((a, b) =>
+      (a.creationTimeSeconds - b.creationTimeSeconds) || (a.id - b.id)
+    );
+    const solved = new Set();
+    for (const s of ordered) {
+      const key = typeof s.problem === "string" ? s.problem : probKey(s.problem);
+      const p = snap.problems[key];
+      if (!p || solved.has(key)) continue;
+      if (s.verdict === "OK") solved.add(key);
+      else if (failVerdicts.has(s.verdict)) p.rejectedBeforeAc++;
+    }
+    return snap;
+  },
+  // v7: solves split four ways by participation type. The stored submissions predate
+  // participantType, so the list is dropped and the next load refetches everything.
+  6(snap) {
+    for (const p of Object.values(snap.problems)) {
+      p.virtual ??= false;
+      p.ooc ??= false;
+    }
+    for (const t of Object.values(snap.tags)) {
+      t.solvedVirtual ??= 0;
+      t.solvedOoc ??= 0;
+      for (const b of Object.values(t.difficultyBuckets || {})) {
+        b.solvedVirtual ??= 0;
+        b.solvedOoc ??= 0;
+      }
+    }
+    snap.submissions = null;
+    snap.lastSubmissionId = null;
+    return snap;
+  },
+  // v8: language families per problem. Stored submissions carry no programmingLanguage yet,
+  // so, as for v7, they are dropped and refetched.
+  7(snap) {
+    for (const p of Object.values(snap.problems)) {
+      p.acLangs ??= [];
+      p.failLangs ??= {};
+    }
+    snap.submissions = null;
+    snap.lastSubmissionId = null;
+    return snap;
+  },
+  // v9: per-tag skill estimate. Stored problems carry no ratings, so it stays empty (and Next
+  // keeps the old maxSolved rule) until the next refresh rebuilds the tags.
+  8(snap) {
+    for (const t of Object.values(snap.tags)) {
+      t.skill ??= null;
+      t.skillLow ??= null;
+      t.skillHigh ??= null;
+    }
+    return snap;
+  }
+};
+
+// Returns the snapshot upgraded to `targetVersion`, or null when no migration path exists.
+function migrateSnapshot(snap, targetVersion) {
+  if (!snap || typeof snap.schemaVersion !== "number") return null;
+  while (snap.schemaVersion < targetVersion) {
+    const step = SNAPSHOT_MIGRATIONS[snap.schemaVersion];
+    if (!step) return null;
+    snap = step(snap);
+    snap.schemaVersion++;
+  }
+  return snap.schemaVersion === targetVersion ? snap : null;
+}
+
+// One-time move of the page-localStorage entries written by earlier versions. They are in
+// codeforces.com's localStorage, so only the content scripts can see them (the popup and options
+// page have their own, empty one). The flag is set once every entry has been moved.
+async function migrateLegacyLocalStorage() {
+  if (location.origin !== "https://codeforces.com") return;
+  const got = await chrome.storage.local.get(STORAGE_LEGACY_FLAG);
+  if (got[STORAGE_LEGACY_FLAG]) return;
+  const moves = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    let key = null;
+    if (k.startsWith("cfTagStatsHistory:")) key = "history:" + k.slice(18);
+    else if (k.startsWith("cfTagStats:")) key = "snapshot:" + k.slice(11);
+    if (key) moves.push([k, key]);
+  }
+  let pending = 0;
+  for (const [legacy, key] of moves) {
+    let value = null;
+    try { value = JSON.parse(localStorage.getItem(legacy)); } catch { /* unreadable: dropped */ }
+    // A failed write is already reported; the entry stays for the next page load to retry.
+    if (value && !(await writeEntry(key, value))) { pending++; continue; }
+    localStorage.removeItem(legacy);
+  }
+  localStorage.removeItem("cfTagStatsProblemset");
+  if (!pending) await chrome.storage.local.set({ [STORAGE_LEGACY_FLAG]: true });
+  if (moves.length) console.log(`[TagStats] Migrated ${moves.length - pending} of ${moves.length} entries from localStorage`);
+}
+
+function ensureStorage() {
+  storageReady ||= migrateLegacyLocalStorage().catch(e => console.error("[TagStats] Legacy migration failed", e));
+  return storageReady;
+}
+
+/* -------------- COMPACT ENCODING --------- */
+// Collections of same-shaped objects are stored column-wise:
+//   array  [{a,b},{a,b},...]         -> { $cols: ["a","b"], $rows: [[a,b],...] }
+//   object {k1:{a,b}, k2:{a,b},...}  -> { $keys: ["k1","k2"], $cols: [...], $rows: [...] }
+// Values inside rows are encoded recursively. Plain data with "$cols" keys never occurs in
+// our snapshots, so the markers are unambiguous.
+function encodeCompact(value) {
+  if (Array.isArray(value)) {
+    const cols = sharedShape(value);
+    if (cols) return { $cols: cols, $rows: value.map(o => cols.map(c => encodeCompact(o[c]))) };
+    return value.map(encodeCompact);
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    const cols = sharedShape(keys.map(k => value[k]));
+    if (cols) return { $keys: keys, $cols: cols, $rows: keys.map(k => cols.map(c => encodeCompact(value[k][c]))) };
+    const out = {};
+    for (const k of keys) out[k] = encodeCompact(value[k]);
+    return out;
+  }
+  return value;
+}
+
+function decodeCompact(value) {
+  if (Array.isArray(value)) return value.map(decodeCompact);
+  if (!isPlainObject(value)) return value;
+  if (Array.isArray(value.$cols) && Array.isArray(value.$rows)) {
+    const rows = value.$rows.map(r => {
+      const o = {};
+      value.$cols.forEach((c, i) => { if (r[i] !== undefined) o[c] = decodeCompact(r[i]); });
+      return o;
+    });
+    if (!value.$keys) return rows;
+    const out = {};
+    value.$keys.forEach((k, i) => { out[k] = rows[i]; });
+    return out;
+  }
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = decodeCompact(v);
+  return out;
+}
+
+// Column list when `items` are at least COMPACT_MIN_ROWS plain objects with identical keys.
+function sharedShape(items) {
+  if (items.length < COMPACT_MIN_ROWS || !items.every(isPlainObject)) return null;
+  const cols = Object.keys(items[0]);
+  const sig = cols.join("\u0000");
+  return items.every(o => Object.keys(o).join("\u0000") === sig) ? cols : null;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
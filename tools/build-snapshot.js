@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// Builds a Tag Stats snapshot from saved Codeforces API responses, without a browser.
+//
+//   node tools/build-snapshot.js <handle> <user.status.json> <problemset.problems.json>
+//        [--user user.info.json] [--options options.json] [--out snapshot.json]
+//
+// The JSON files may be whole API responses ({ status, result }) or just their `result`.
+// --options overrides analytics options (failVerdicts, recommend weights; see analytics.js).
+// The snapshot is written to --out or stdout and can be imported on the profile page.
+
+const fs = require("fs");
+const { buildSnapshotFromData, slimUser } = require("../analytics.js");
+
+function usage(message) {
+  if (message) console.error(message);
+  console.error("usage: build-snapshot.js <handle> <user.status.json> <problemset.problems.json> " +
+    "[--user user.info.json] [--options options.json] [--out snapshot.json]");
+  process.exit(2);
+}
+
+function parseArgs(argv) {
+  const positional = [], flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      if (i + 1 >= argv.length) usage(`missing value for ${argv[i]}`);
+      flags[argv[i].slice(2)] = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+// Unwraps { status: "OK", result } API responses; a FAILED response is an error.
+function readApiJSON(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+  if (data?.status === "FAILED") throw new Error(`${file}: API error: ${data.comment}`);
+  if (data?.status === "OK" && "result" in data) return data.result;
+  return data;
+}
+
+function main() {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  if (positional.length !== 3) usage();
+  const [handle, statusFile, problemsetFile] = positional;
+
+  const submissions = readApiJSON(statusFile);
+  if (!Array.isArray(submissions)) throw new Error(`${statusFile}: expected a list of submissions`);
+  const problemset = readApiJSON(problemsetFile);
+  if (!Array.isArray(problemset?.problems)) throw new Error(`${problemsetFile}: expected { problems: [...] }`);
+  const userInfo = flags.user ? readApiJSON(flags.user) : null;
+  const user = slimUser(Array.isArray(userInfo) ? userInfo[0] : userInfo);
+  const options = flags.options ? JSON.parse(fs.readFileSync(flags.options, "utf8")) : undefined;
+
+  const snapshot = buildSnapshotFromData({ handle, user, submissions, problemset }, options);
+  const json = JSON.stringify(snapshot);
+  if (flags.out) fs.writeFileSync(flags.out, json);
+  else process.stdout.write(json + "\n");
+  console.error(`${handle}: ${Object.values(snapshot.problems).filter(p => p.solved).length} solved, ` +
+    `${Object.keys(snapshot.tags).length} tags, ${submissions.length} submissions`);
+}
+
+try {
+  main();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}